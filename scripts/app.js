@@ -1,13 +1,13 @@
 let deductionCount = 0;
 
-function addDeduction() {
+function addDeduction(value = '') {
     deductionCount++;
     const deductionList = document.getElementById('deductionList');
     const deductionItem = document.createElement('div');
     deductionItem.className = 'deduction-item';
     deductionItem.id = `deduction-${deductionCount}`;
     deductionItem.innerHTML = `
-        <input type="number" name="deduction" placeholder="Jumlah Potongan (RM)" required>
+        <input type="number" name="deduction" value="${escapeHtml(value)}" placeholder="Jumlah Potongan (RM)" required>
         <button type="button" onclick="removeDeduction(${deductionCount})">Buang</button>
     `;
     deductionList.appendChild(deductionItem);
@@ -53,29 +53,50 @@ document.getElementById('showAdditionalIncome').addEventListener('change', funct
     }
 });
 
+// Counter for unique income item keys (several items of one type are allowed)
+let incomeItemCount = 0;
+
+// Frequency each income type starts with when added
+const DEFAULT_INCOME_FREQUENCIES = {
+    elaun: 'monthly',
+    bonus: 'annual',
+    lainlain: 'annual'
+};
+
+const INCOME_FREQUENCY_LABELS = {
+    'monthly': 'Bulanan',
+    'annual': 'Tahunan',
+    'one-off': 'Sekali sahaja'
+};
+
 // Add event listeners to income buttons with tooltips
 document.querySelectorAll('.add-income-button').forEach(button => {
     button.addEventListener('click', () => {
         const item = button.dataset.item;
-        if (!incomeItems[item]) {
-            incomeItems[item] = {
-                type: item,
-                amount: 0
-            };
-            renderIncomeItems();
-        }
+        incomeItemCount++;
+        incomeItems[`${item}-${incomeItemCount}`] = {
+            type: item,
+            label: '',
+            amount: 0,
+            frequency: DEFAULT_INCOME_FREQUENCIES[item],
+            month: 12
+        };
+        renderIncomeItems();
     });
     
     // Add tooltip explanation for each income type
     const tooltips = {
-        'elaun': 'Elaun bulanan seperti elaun makan, elaun kereta, elaun telefon, dan lain-lain.',
-        'bonus': 'Bonus tahunan yang diterima daripada majikan atau sumber lain.',
+        'elaun': 'Elaun seperti elaun makan, elaun kereta, elaun telefon, dan lain-lain. Boleh ditambah lebih daripada satu.',
+        'bonus': 'Bonus yang diterima daripada majikan atau sumber lain.',
         'lainlain': 'Pendapatan lain seperti keuntungan perniagaan, sewaan harta, dividen saham, dll.'
     };
     
     addTooltip(button, tooltips[button.dataset.item]);
 });
 
+const MONTH_NAMES = ['Januari', 'Februari', 'Mac', 'April', 'Mei', 'Jun',
+    'Julai', 'Ogos', 'September', 'Oktober', 'November', 'Disember'];
+
 // Function to render income items
 function renderIncomeItems() {
     const selectedIncomes = document.querySelector('.selected-incomes');
@@ -83,18 +104,37 @@ function renderIncomeItems() {
 
     for (const [key, item] of Object.entries(incomeItems)) {
         const div = document.createElement('div');
-        div.className = 'income-item';
+        div.className = 'income-item income-line';
+
+        const frequencyOptions = Object.entries(INCOME_FREQUENCY_LABELS).map(([value, label]) => `
+            <option value="${value}" ${item.frequency === value ? 'selected' : ''}>${label}</option>
+        `).join('');
+
+        // Annual and one-off items record the month they are received, for the monthly plan
+        let monthHTML = '';
+        if (item.frequency !== 'monthly') {
+            const monthOptions = MONTH_NAMES.map((name, index) => `
+                <option value="${index + 1}" ${item.month === index + 1 ? 'selected' : ''}>${name}</option>
+            `).join('');
+            monthHTML = `<select class="income-month-select" data-item="${key}" title="Bulan diterima">${monthOptions}</select>`;
+        }
 
         // Create span WITHOUT tooltip information - REMOVED tooltip
         div.innerHTML = `
-            <span class="income-label">${formatIncomeLabel(key)}</span>
-            <div style="display: flex; align-items: center; gap: 10px;">
+            <div class="income-line-header">
+                <span class="income-label">${formatIncomeLabel(item.type)}</span>
+                <input type="text" class="income-label-input" value="${escapeHtml(item.label || '')}"
+                    data-item="${key}" placeholder="Keterangan (pilihan)">
+                <button class="remove-btn remove-income-btn" data-item="${key}">×</button>
+            </div>
+            <div class="income-line-controls">
                 <div class="modern-quantity">
                     <input type="number" class="amount-input income-amount-input" value="${item.amount || 0}" 
                         data-item="${key}" min="0" step="100" placeholder="Masukkan jumlah (RM)">
                     <span class="quantity-label">RM${(parseFloat(item.amount) || 0).toFixed(2)}</span>
                 </div>
-                <button class="remove-btn remove-income-btn" data-item="${key}">×</button>
+                <select class="income-frequency-select" data-item="${key}" title="Kekerapan">${frequencyOptions}</select>
+                ${monthHTML}
             </div>
         `;
 
@@ -105,13 +145,19 @@ function renderIncomeItems() {
     calculateTotalIncome();
 }
 
-function formatIncomeLabel(key) {
+function formatIncomeLabel(type) {
     const labels = {
-        elaun: 'Elaun (Bulanan)',
-        bonus: 'Bonus (Tahunan)',
-        lainlain: 'Pendapatan Lain (Tahunan)'
+        elaun: 'Elaun',
+        bonus: 'Bonus',
+        lainlain: 'Pendapatan Lain'
     };
-    return labels[key];
+    return labels[type] || type;
+}
+
+// Describe an income line for the result, e.g. "Elaun — Elaun kereta (Bulanan)"
+function describeIncomeLine(line) {
+    const label = line.label ? ` — ${escapeHtml(line.label)}` : '';
+    return `${formatIncomeLabel(line.type)}${label} (${INCOME_FREQUENCY_LABELS[line.frequency]})`;
 }
 
 function addIncomeControlListeners() {
@@ -122,6 +168,25 @@ function addIncomeControlListeners() {
         });
     });
 
+    document.querySelectorAll('.income-label-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            incomeItems[e.target.dataset.item].label = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.income-frequency-select').forEach(select => {
+        select.addEventListener('change', (e) => {
+            incomeItems[e.target.dataset.item].frequency = e.target.value;
+            renderIncomeItems();
+        });
+    });
+
+    document.querySelectorAll('.income-month-select').forEach(select => {
+        select.addEventListener('change', (e) => {
+            incomeItems[e.target.dataset.item].month = parseInt(e.target.value);
+        });
+    });
+
     // Handle income amount inputs
     document.querySelectorAll('.income-amount-input').forEach(input => {
         // Remove old listeners first
@@ -162,159 +227,206 @@ document.getElementById('showAdditionalIncome').addEventListener('change', funct
 // Add event listeners for income fields
 document.getElementById('pendapatanBulanan').addEventListener('input', calculateTotalIncome);
 
+// Format a number as a Ringgit amount for display
+function formatRinggit(value) {
+    return `RM ${value.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+}
+
+// Escape user-entered text before placing it in HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Get the additional income items that count towards the total
+function getActiveIncomeItems() {
+    if (!document.getElementById('showAdditionalIncome').checked) {
+        return [];
+    }
+    return Object.values(incomeItems);
+}
+
+// Get a form snapshot's deduction items and manual deductions in engine format
+function getActiveDeductions(formState) {
+    if (!formState.showDeductions) {
+        return { deductions: [], manualDeductions: [] };
+    }
+
+    const deductions = Object.entries(formState.items).map(([key, item]) => ({
+        key,
+        type: item.type || key,
+        quantity: item.quantity,
+        category: item.category,
+        amount: item.amount,
+        base: item.base
+    }));
+
+    return { deductions, manualDeductions: formState.manualDeductions || [] };
+}
+
+// Snapshot the pendapatan form (state, income and deductions) as plain data
+function getIncomeFormState() {
+    return {
+        state: document.getElementById('negeri').value,
+        monthlyIncome: document.getElementById('pendapatanBulanan').value,
+        showAdditionalIncome: document.getElementById('showAdditionalIncome').checked,
+        incomeItems: JSON.parse(JSON.stringify(incomeItems)),
+        showDeductions: document.getElementById('showDeductions').checked,
+        items: JSON.parse(JSON.stringify(items)),
+        manualDeductions: Array.from(document.getElementsByName('deduction')).map(input => input.value)
+    };
+}
+
+// Put a snapshot from getIncomeFormState back into the pendapatan form
+function applyIncomeFormState(formState) {
+    document.getElementById('pendapatanBulanan').value = formState.monthlyIncome || '';
+
+    document.getElementById('showAdditionalIncome').checked = Boolean(formState.showAdditionalIncome);
+    document.getElementById('additionalIncomeContainer').style.display = formState.showAdditionalIncome ? 'block' : 'none';
+    incomeItems = JSON.parse(JSON.stringify(formState.incomeItems || {}));
+
+    // Keep keys of newly added income lines clear of the restored ones
+    Object.keys(incomeItems).forEach(key => {
+        incomeItemCount = Math.max(incomeItemCount, parseInt(key.split('-').pop()) || 0);
+    });
+
+    document.getElementById('showDeductions').checked = Boolean(formState.showDeductions);
+    document.getElementById('deductionsContainer').style.display = formState.showDeductions ? 'block' : 'none';
+    items = JSON.parse(JSON.stringify(formState.items || {}));
+
+    const deductionList = document.getElementById('deductionList');
+    if (deductionList) {
+        deductionList.innerHTML = '';
+        (formState.manualDeductions || []).forEach(value => addDeduction(value));
+    }
+
+    // Changing the state refreshes the deduction labels and every state-dependent mode
+    const negeri = document.getElementById('negeri');
+    negeri.value = formState.state || '';
+    negeri.dispatchEvent(new Event('change'));
+
+    renderIncomeItems();
+    renderItems();
+}
+
+// Turn a form snapshot into plain input for ZakatEngine.calculateZakat
+function buildZakatInput(formState) {
+    const { deductions, manualDeductions } = getActiveDeductions(formState);
+
+    return {
+        state: formState.state,
+        year: getSelectedYear(),
+        monthlyIncome: parseFloat(formState.monthlyIncome) || 0,
+        incomeItems: formState.showAdditionalIncome ? Object.values(formState.incomeItems) : [],
+        deductions,
+        manualDeductions
+    };
+}
+
+// Collect the current form values as plain input for ZakatEngine.calculateZakat
+function collectZakatInput() {
+    return buildZakatInput(getIncomeFormState());
+}
+
 // Function to calculate total income from all sources
 function calculateTotalIncome() {
-    // Get base monthly income
     const pendapatanBulanan = parseFloat(document.getElementById('pendapatanBulanan').value) || 0;
-    
-    let monthlyExtra = 0;
-    let annualExtra = 0;
-    
-    if (document.getElementById('showAdditionalIncome').checked) {
-        for (const [key, item] of Object.entries(incomeItems)) {
-            const amount = parseFloat(item.amount) || 0;
-            
-            // Process different income types differently
-            if (key === 'elaun') {
-                // Elaun is monthly
-                monthlyExtra += amount;
-            } else if (key === 'bonus') {
-                // Bonus is annual
-                annualExtra += amount;
-            } else if (key === 'lainlain') {
-                // This could be either monthly or annual, defaulting to annual
-                annualExtra += amount;
-            }
-        }
-    }
-    
-    // Calculate monthly and annual totals
-    const totalMonthly = pendapatanBulanan + monthlyExtra;
-    const totalAnnual = (totalMonthly * 12) + annualExtra;
+    const income = ZakatEngine.annualiseIncome(pendapatanBulanan, getActiveIncomeItems());
     
     // Update the display
-    document.getElementById('totalMonthlyIncome').textContent = 
-        `RM ${totalMonthly.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
-    document.getElementById('totalAnnualIncome').textContent = 
-        `RM ${totalAnnual.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+    document.getElementById('totalMonthlyIncome').textContent = formatRinggit(income.monthly);
+    document.getElementById('totalAnnualIncome').textContent = formatRinggit(income.annual);
     
-    return {
-        monthly: totalMonthly,
-        annual: totalAnnual
-    };
+    return income;
 }
 
-document.getElementById('zakatForm').addEventListener('submit', function(event) {
-    event.preventDefault();
-    const incomeData = calculateTotalIncome();
-    const pendapatan = incomeData.annual; // Use calculated annual income
-    const negeri = document.getElementById('negeri').value;
+// Gold price service of the ZakatNOW server (server/server.js), in the JSON file's shape
+const GOLD_PRICE_ENDPOINT = '/api/gold-price';
 
-     if (isNaN(pendapatan) || pendapatan <= 0) {
-        alert('Sila masukkan jumlah pendapatan yang sah.');
-        return;
+// Create the gold price provider chosen in the form
+function createGoldPriceProvider() {
+    const source = document.getElementById('goldPriceSource').value;
+
+    if (source === 'file') {
+        return new JsonFileGoldPriceProvider();
+    }
+    if (source === 'http') {
+        // Without the server, as on a static host, the hosted file still gives a price
+        return new FallbackGoldPriceProvider([
+            new HttpGoldPriceProvider(GOLD_PRICE_ENDPOINT),
+            new JsonFileGoldPriceProvider()
+        ]);
     }
+    return new ManualGoldPriceProvider(document.getElementById('goldPricePerGram').value);
+}
 
-    let nisab;
-    switch (negeri) {
-        case '1': // Johor
-            nisab = 33028.75;
-            break;
-        case '2': // Kedah
-            nisab = 32010.16;
-            break;
-        case '3': // Kelantan
-            nisab = 29376;
-            break;
-        case '4': // Melaka
-            nisab = 29740;
-            break;
-        case '5': // Negeri Sembilan
-            nisab = 26844.82;
-            break;
-        case '6': // Pahang
-            nisab = 33028.75;
-            break;
-        case '7': // Perak
-            nisab = 33028.75;
-            break;
-        case '8': // Perlis
-            nisab = 33028.75;
-            break;
-        case '9': // Pulau Pinang
-            nisab = 31000;
-            break;
-        case '10': // Sabah
-            nisab = 29000;
-            break;
-        case '11': // Sarawak
-            nisab = 30564.75;
-            break;
-        case '12': // Selangor
-            nisab = 29961;
-            break;
-        case '13': // Terengganu
-            nisab = 28840.66;
-            break;
-        case '14': // WP Kuala Lumpur
-            nisab = 29740;
-            break;
-        case '15': // WP Labuan
-            nisab = 29740;
-            break;
-        case '16': // WP Putrajaya
-            nisab = 29740;
-            break;
-        default:
-            nisab = 0; // Default value
+// Get the gold price for nisab, or null when the state-announced nisab is used
+function resolveGoldPrice() {
+    if (document.getElementById('nisabMode').value !== 'gold') {
+        return Promise.resolve(null);
     }
+    return createGoldPriceProvider().getPrice();
+}
 
-    let totalDeductions = 0;
-    
-    // Only calculate deductions if the toggle is checked
-    if (document.getElementById('showDeductions').checked) {
-        for (const [key, item] of Object.entries(items)) {
-            const itemType = item.type || key;
-            
-            if (itemType === 'kwsp') {
-                totalDeductions += pendapatan * 0.11;
-            } else if (itemType === 'diri') {
-                totalDeductions += 9000;
-            } else if (itemType === 'isteri') {
-                totalDeductions += Math.min(4, item.quantity) * 4000;
-            } else if (itemType === 'anak') {
-                // Handle different child categories
-                const anakAmounts = {
-                    'tidak-ipt': 2000,
-                    'ipt': 8000,
-                    'oku': 6000
-                };
-                const amount = anakAmounts[item.category] || 2000;
-                totalDeductions += item.quantity * amount;
-            } else if (item.amount) {
-                totalDeductions += item.quantity * parseFloat(item.amount);
-            }
-        }
-        
-        const manualDeductions = document.getElementsByName('deduction');
-        manualDeductions.forEach(deduction => {
-            const value = parseFloat(deduction.value);
-            if (!isNaN(value) && value > 0) {
-                totalDeductions += value;
-            }
-        });
+// Describe the nisab used in a result and where it came from
+function formatNisabLines(nisabInfo) {
+    if (nisabInfo.basis === 'gold') {
+        return `
+            Nisab: ${formatRinggit(nisabInfo.amount)}<br>
+            Asas Nisab: ${nisabInfo.goldGrams}g emas × RM${nisabInfo.pricePerGram.toFixed(2)}/g
+            (harga ${nisabInfo.priceDate}, ${nisabInfo.priceSource})
+        `;
     }
+    return `
+        Nisab (${nisabInfo.stateName}, ${nisabInfo.year}): ${formatRinggit(nisabInfo.amount)}<br>
+        Asas Nisab: Diumumkan oleh negeri
+    `;
+}
 
-    const netPendapatan = pendapatan - totalDeductions;
-    let zakat = netPendapatan >= nisab ? netPendapatan * 0.025 : 0;
+// Payment description and reference prefix for each calculator mode
+const PAYMENT_CONTEXTS = {
+    pendapatan: { description: 'Pembayaran Zakat Pendapatan', referencePrefix: 'ZAKAT-' },
+    simpanan: { description: 'Pembayaran Zakat Simpanan', referencePrefix: 'ZAKAT-' },
+    emas: { description: 'Pembayaran Zakat Emas dan Perak', referencePrefix: 'ZAKAT-' },
+    pelaburan: { description: 'Pembayaran Zakat Pelaburan', referencePrefix: 'ZAKAT-' },
+    perniagaan: { description: 'Pembayaran Zakat Perniagaan', referencePrefix: 'ZAKAT-' },
+    fitrah: { description: 'Pembayaran Zakat Fitrah', referencePrefix: 'FITRAH-' }
+};
+
+// Turn a result breakdown into plain lines for the payment receipt
+function summariseResultHtml(detailsHtml) {
+    const container = document.createElement('div');
+    return detailsHtml.split(/<br\s*\/?>/i)
+        .map(part => {
+            container.innerHTML = part;
+            return container.textContent.replace(/\s+/g, ' ').trim();
+        })
+        .filter(Boolean);
+}
 
-    document.getElementById('pendapatanResult').innerHTML = `
-        Jumlah Pendapatan Bulanan: RM ${incomeData.monthly.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}<br>
-        Jumlah Pendapatan Tahunan: RM ${pendapatan.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}<br>
-        Jumlah Potongan: RM ${totalDeductions.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}<br>
-        Pendapatan Bersih: RM ${netPendapatan.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
-    `;
-    document.getElementById('zakatResult').innerText = `Jumlah Zakat Yang Perlu Dibayar: RM ${zakat.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+// Show a calculation breakdown and the zakat due in the shared result panel
+function showZakatResult(detailsHtml, zakat) {
+    window.paymentService?.setPaymentContext({
+        type: currentMode,
+        year: getSelectedYear(),
+        state: document.getElementById('negeri').value,
+        summary: summariseResultHtml(detailsHtml),
+        ...PAYMENT_CONTEXTS[currentMode]
+    });
+    recordCalculatedZakat(getSelectedYear(), currentMode, zakat);
+    lastIncomeCalculation = null;
+    document.getElementById('monthlyPlanButton').style.display = 'none';
+    document.getElementById('monthlyPlan').style.display = 'none';
+    document.getElementById('taxEstimateButton').style.display = 'none';
+    document.getElementById('taxEstimate').style.display = 'none';
+    document.getElementById('shareLinkButton').style.display = 'none';
+    document.getElementById('calculationExplanation').style.display = 'none';
+
+    document.getElementById('pendapatanResult').innerHTML = detailsHtml;
+    document.getElementById('zakatResult').innerText = `Jumlah Zakat Yang Perlu Dibayar: ${formatRinggit(zakat)}`;
     
     // Show payment option if zakat is due
     const payZakatButton = document.getElementById('payZakatButton');
@@ -325,9 +437,119 @@ document.getElementById('zakatForm').addEventListener('submit', function(event)
     }
     
     document.getElementById('result').style.display = 'block';
+}
+
+// Last zakat pendapatan calculation, used by the monthly payment plan and tax estimate
+let lastIncomeCalculation = null;
+
+function showIncomeResult(result, input) {
+    const incomeLines = result.income.lines.map(line => {
+        const annualised = line.frequency === 'monthly'
+            ? `${formatRinggit(line.amount)} × 12 = ${formatRinggit(line.annualAmount)}`
+            : formatRinggit(line.annualAmount);
+        return `${describeIncomeLine(line)}: ${annualised}<br>`;
+    }).join('');
+
+    const deductionLines = result.deductions.map(line => {
+        const quantity = line.quantity > 1 ? ` × ${line.quantity}` : '';
+        const capNote = line.capApplied ? ` (had ${formatRinggit(line.cap)} dikenakan, asal ${formatRinggit(line.uncapped)})` : '';
+        return `Potongan ${formatLabel(line.type)}${quantity}: ${formatRinggit(line.amount)}${capNote}<br>`;
+    }).join('');
+
+    showZakatResult(`
+        Pendapatan Bulanan Asas: ${formatRinggit(result.income.base)} × 12 = ${formatRinggit(result.income.base * 12)}<br>
+        ${incomeLines}
+        Jumlah Pendapatan Bulanan: ${formatRinggit(result.income.monthly)}<br>
+        Jumlah Pendapatan Tahunan: ${formatRinggit(result.gross)}<br>
+        ${deductionLines}
+        Jumlah Potongan: ${formatRinggit(result.totalDeductions)}<br>
+        Pendapatan Bersih: ${formatRinggit(result.net)}<br>
+        ${formatNisabLines(result.nisabInfo)}
+    `, result.zakat);
+
+    lastIncomeCalculation = { result, input };
+    renderCalculationExplanation(result);
+    document.getElementById('monthlyPlanButton').style.display = result.zakat > 0 ? 'block' : 'none';
+    document.getElementById('taxEstimateButton').style.display = 'block';
+    document.getElementById('shareLinkButton').style.display = 'block';
+}
+
+// Check the shared state selection before any calculation
+function validateSharedSettings() {
+    if (!document.getElementById('negeri').value) {
+        alert('Sila pilih negeri.');
+        document.getElementById('negeri').focus();
+        return false;
+    }
+    return true;
+}
+
+// Calculator mode currently shown (pendapatan, simpanan, ...)
+let currentMode = 'pendapatan';
+
+function switchMode(mode) {
+    currentMode = mode;
+
+    document.querySelectorAll('.mode-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    document.querySelectorAll('.mode-form').forEach(form => {
+        form.style.display = form.dataset.mode === mode ? 'block' : 'none';
+    });
+
+    // A result from another mode no longer matches the form on screen
+    document.getElementById('result').style.display = 'none';
+}
+
+document.querySelectorAll('.mode-tab').forEach(tab => {
+    tab.addEventListener('click', () => switchMode(tab.dataset.mode));
 });
 
-document.getElementById('zakatForm').addEventListener('reset', function() {
+document.getElementById('nisabMode').addEventListener('change', function(e) {
+    document.getElementById('goldPriceContainer').style.display = e.target.value === 'gold' ? 'block' : 'none';
+});
+
+document.getElementById('goldPriceSource').addEventListener('change', function(e) {
+    document.getElementById('manualGoldPriceGroup').style.display = e.target.value === 'manual' ? 'block' : 'none';
+});
+
+document.getElementById('zakatForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+
+    // Several persons are calculated together by the household module
+    if (isHouseholdCalculation()) {
+        calculateHousehold();
+        return;
+    }
+
+    if (!validateSharedSettings()) {
+        return;
+    }
+    const input = collectZakatInput();
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            const result = ZakatEngine.calculateZakat({ ...input, goldPrice });
+
+            if (isNaN(result.gross) || result.gross <= 0) {
+                alert('Sila masukkan jumlah pendapatan yang sah.');
+                return;
+            }
+
+            showIncomeResult(result, input);
+        })
+        .catch(error => {
+            alert(error.message);
+        });
+});
+
+document.getElementById('zakatForm').addEventListener('reset', function(event) {
+    // Restoring the last session replaces the form instead of emptying it
+    if (offerLastSessionRestore()) {
+        event.preventDefault();
+        return;
+    }
+
     document.getElementById('result').style.display = 'none';
     items = {};
     renderItems();
@@ -335,9 +557,6 @@ document.getElementById('zakatForm').addEventListener('reset', function() {
     document.getElementById('deductionsContainer').style.display = 'none';
     document.getElementById('showAdditionalIncome').checked = false;
     document.getElementById('additionalIncomeContainer').style.display = 'none';
-    document.getElementById('elaun').value = 0;
-    document.getElementById('bonus').value = 0;
-    document.getElementById('lainlain').value = 0;
     document.getElementById('totalMonthlyIncome').textContent = 'RM 0.00';
     document.getElementById('totalAnnualIncome').textContent = 'RM 0.00';
     incomeItems = {};
@@ -413,19 +632,81 @@ document.querySelectorAll('.add-button').forEach(button => {
         }
     });
     
-    // Add tooltip explanation for each deduction type
+});
+
+// Format a whole Ringgit amount for labels, e.g. RM9,000
+function formatWholeRinggit(value) {
+    return `RM${value.toLocaleString('en-MY')}`;
+}
+
+// Get the deduction figures for the selected state and year
+function getSelectedDeductionRules() {
+    const rules = ZakatRules.getRules(document.getElementById('negeri').value, getSelectedYear());
+    return rules ? rules.deductions : ZakatRules.DEFAULT_DEDUCTIONS;
+}
+
+// Describe a deduction's annual cap for tooltips, if it has one
+function describeDeductionCap(rule) {
+    return rule.cap !== null && rule.cap !== undefined
+        ? ` Had maksimum ${formatWholeRinggit(rule.cap)} setahun.`
+        : '';
+}
+
+// Update deduction button labels and tooltips with the selected state's figures
+function updateDeductionInfo() {
+    const deductionRules = getSelectedDeductionRules();
+    const anak = deductionRules.anak.amounts;
+    const kwspPercent = `${Math.round(deductionRules.kwsp.rate * 100)}%`;
+
+    const labels = {
+        'diri': `Diri (${formatWholeRinggit(deductionRules.diri.amount)})`,
+        'isteri': `Isteri (${formatWholeRinggit(deductionRules.isteri.amount)})`,
+        'kwsp': `KWSP (${kwspPercent} gaji)`
+    };
+
     const tooltips = {
-        'diri': 'Potongan asas yang diberikan kepada setiap individu sebanyak RM9,000 setahun.',
-        'isteri': 'Potongan sebanyak RM4,000 untuk setiap isteri (maksimum 4 orang).',
-        'anak': 'Potongan untuk anak bergantung kepada kategori: RM2,000 (tidak di IPT), RM8,000 (di IPT), atau RM6,000 (OKU).',
-        'kwsp': 'Potongan caruman KWSP sebanyak 11% daripada pendapatan tahunan.',
-        'sumbangan': 'Potongan untuk sumbangan yang diberikan kepada ibu bapa.',
-        'tabunghaji': 'Potongan untuk simpanan di Tabung Haji.',
-        'takaful': 'Potongan untuk premium takaful yang dibayar.'
+        'diri': `Potongan asas yang diberikan kepada setiap individu sebanyak ${formatWholeRinggit(deductionRules.diri.amount)} setahun.`,
+        'isteri': `Potongan sebanyak ${formatWholeRinggit(deductionRules.isteri.amount)} untuk setiap isteri (maksimum ${deductionRules.isteri.maxUnits} orang).`,
+        'anak': `Potongan untuk anak bergantung kepada kategori: ${formatWholeRinggit(anak['tidak-ipt'])} (tidak di IPT), ${formatWholeRinggit(anak['ipt'])} (di IPT), atau ${formatWholeRinggit(anak['oku'])} (OKU).`,
+        'kwsp': `Potongan caruman KWSP sebanyak ${kwspPercent} daripada gaji bulanan, atau caruman sebenar yang dimasukkan.`,
+        'sumbangan': 'Potongan untuk sumbangan bulanan yang diberikan kepada ibu bapa.',
+        'tabunghaji': 'Potongan untuk simpanan bulanan di Tabung Haji.',
+        'takaful': 'Potongan untuk premium takaful bulanan yang dibayar.'
     };
-    
-    addTooltip(button, tooltips[button.dataset.item]);
-});
+
+    document.querySelectorAll('.add-button').forEach(button => {
+        const item = button.dataset.item;
+        if (labels[item]) {
+            button.textContent = labels[item];
+        }
+        addTooltip(button, tooltips[item] + describeDeductionCap(deductionRules[item]));
+    });
+}
+
+// Get the selected zakat year
+function getSelectedYear() {
+    return parseInt(document.getElementById('tahun').value) || new Date().getFullYear();
+}
+
+// Fill the year selector with the years that have published figures
+function populateYearOptions() {
+    const yearSelect = document.getElementById('tahun');
+    yearSelect.innerHTML = ZakatRules.getAvailableYears()
+        .map(year => `<option value="${year}">${year}</option>`)
+        .join('');
+}
+
+function handleRulesChange() {
+    updateDeductionInfo();
+    if (document.getElementById('showDeductions').checked) {
+        renderItems();
+    }
+}
+
+populateYearOptions();
+updateDeductionInfo();
+document.getElementById('negeri').addEventListener('change', handleRulesChange);
+document.getElementById('tahun').addEventListener('change', handleRulesChange);
 
 function renderItems() {
     const selectedDeductions = document.querySelector('.selected-deductions');
@@ -437,30 +718,9 @@ function renderItems() {
         // Determine the item type (for anak with custom keys)
         const itemType = item.type || key;
         
-        // Calculate the amount to display
-        let amountValue = '';
-        if (itemType === 'kwsp') {
-            const pendapatanTahunan = calculateTotalIncome().annual;
-            const amount = pendapatanTahunan * 0.11;
-            amountValue = `RM${amount.toFixed(2)}`;
-        } else if (itemType === 'diri') {
-            amountValue = 'RM9,000.00';
-        } else if (itemType === 'isteri') {
-            const amount = 4000;
-            amountValue = `RM${(item.quantity * amount).toFixed(2)}`;
-        } else if (itemType === 'anak') {
-            const anakAmounts = {
-                'tidak-ipt': 2000,
-                'ipt': 8000,
-                'oku': 6000
-            };
-            const amount = anakAmounts[item.category] || 2000;
-            amountValue = `RM${(item.quantity * amount).toFixed(2)}`;
-        } else if (itemType === 'sumbangan' || itemType === 'tabunghaji' || itemType === 'takaful') {
-            const monthlyAmount = parseFloat(item.amount) || 0;
-            const annualAmount = monthlyAmount * 12;
-            amountValue = `RM${monthlyAmount.toFixed(2)}/bulan`;
-        }
+        // Calculate the annual amount to display, noting when the state cap applies
+        const assessment = ZakatEngine.assessDeduction({ ...item, type: itemType }, calculateTotalIncome(), getSelectedDeductionRules());
+        const amountValue = `RM${assessment.amount.toFixed(2)}/tahun${assessment.capApplied ? ' (had)' : ''}`;
         
         // Special handling for anak items - completely different structure
         if (itemType === 'anak') {
@@ -495,12 +755,29 @@ function renderItems() {
                         <button class="quantity-btn plus" data-item="${key}">+</button>
                     </div>
                 `;
+            } else if (itemType === 'kwsp') {
+                const kwspPercent = Math.round(getSelectedDeductionRules().kwsp.rate * 100);
+                controlsHTML = `
+                    <select class="kwsp-base" data-item="${key}">
+                        <option value="salary-percent" ${assessment.base === 'salary-percent' ? 'selected' : ''}>${kwspPercent}% gaji</option>
+                        <option value="entered" ${assessment.base === 'entered' ? 'selected' : ''}>Caruman sebenar</option>
+                    </select>
+                `;
+                if (assessment.base === 'entered') {
+                    controlsHTML += `
+                        <div class="modern-quantity">
+                            <input type="number" class="amount-input" value="${item.amount || 0}" 
+                                data-item="${key}" min="0" step="10" placeholder="Caruman bulanan (RM)">
+                            <span class="quantity-label">RM${(parseFloat(item.amount) || 0).toFixed(2)}/bulan</span>
+                        </div>
+                    `;
+                }
             } else if (itemType === 'sumbangan' || itemType === 'tabunghaji' || itemType === 'takaful') {
                 controlsHTML = `
                     <div class="modern-quantity">
                         <input type="number" class="amount-input" value="${item.amount || 0}" 
                             data-item="${key}" min="0" step="100" placeholder="Masukkan jumlah (RM)">
-                        <span class="quantity-label">RM${(parseFloat(item.amount) || 0).toFixed(2)}</span>
+                        <span class="quantity-label">RM${(parseFloat(item.amount) || 0).toFixed(2)}/bulan</span>
                     </div>
                 `;
             } else {
@@ -536,13 +813,17 @@ function formatLabel(key) {
         kwsp: 'KWSP',
         sumbangan: 'Sumbangan Ibu Bapa',
         tabunghaji: 'Tabung Haji',
-        takaful: 'Takaful'
+        takaful: 'Takaful',
+        manual: 'Potongan Lain'
     };
     return labels[baseType] || key;
 }
 
 function addDeductionControlListeners() {
-    document.querySelectorAll('.quantity-btn').forEach(btn => {
+    // Other modes reuse these classes for their own fields, so only look in the deduction list
+    const selectedDeductions = document.querySelector('.selected-deductions');
+
+    selectedDeductions.querySelectorAll('.quantity-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             const itemKey = e.target.dataset.item;
             if (btn.classList.contains('plus')) {
@@ -554,7 +835,7 @@ function addDeductionControlListeners() {
         });
     });
 
-    document.querySelectorAll('.quantity-input').forEach(input => {
+    selectedDeductions.querySelectorAll('.quantity-input').forEach(input => {
         input.addEventListener('change', (e) => {
             const itemKey = e.target.dataset.item;
             items[itemKey].quantity = Math.max(1, parseInt(e.target.value) || 1);
@@ -562,7 +843,7 @@ function addDeductionControlListeners() {
         });
     });
 
-    document.querySelectorAll('.remove-btn').forEach(btn => {
+    selectedDeductions.querySelectorAll('.remove-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             delete items[e.target.dataset.item];
             renderItems();
@@ -570,7 +851,7 @@ function addDeductionControlListeners() {
     });
 
     // Remove duplicate event listener and modify the input handling
-    document.querySelectorAll('.amount-input').forEach(input => {
+    selectedDeductions.querySelectorAll('.amount-input').forEach(input => {
         // Remove old listeners first
         const newInput = input.cloneNode(true);
         input.parentNode.replaceChild(newInput, input);
@@ -584,7 +865,7 @@ function addDeductionControlListeners() {
             // Only update the label, not the entire list
             const label = e.target.parentNode.querySelector('.quantity-label');
             if (label) {
-                label.textContent = `RM${value.toFixed(2)}`;
+                label.textContent = `RM${value.toFixed(2)}/bulan`;
             }
         });
         
@@ -594,8 +875,15 @@ function addDeductionControlListeners() {
         });
     });
 
+    selectedDeductions.querySelectorAll('.kwsp-base').forEach(select => {
+        select.addEventListener('change', (e) => {
+            items[e.target.dataset.item].base = e.target.value;
+            renderItems();
+        });
+    });
+
     // Add event listener for anak category dropdown
-    document.querySelectorAll('.anak-category').forEach(select => {
+    selectedDeductions.querySelectorAll('.anak-category').forEach(select => {
         select.addEventListener('change', (e) => {
             const itemKey = e.target.dataset.item;
             items[itemKey].category = e.target.value;
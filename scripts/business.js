@@ -0,0 +1,152 @@
+/**
+ * Zakat perniagaan (business) mode for ZakatNOW
+ * Collects current assets, current liabilities and adjustments for the
+ * working-capital method and shows the result in the shared result panel.
+ */
+
+// Adjustments entered in the perniagaan form (positive adds, negative deducts)
+let businessAdjustments = {};
+let businessAdjustmentCount = 0;
+
+const BUSINESS_ASSET_FIELDS = {
+    cash: 'businessCash',
+    inventory: 'businessInventory',
+    receivables: 'businessReceivables',
+    other: 'businessOtherAssets'
+};
+
+const BUSINESS_LIABILITY_FIELDS = {
+    payables: 'businessPayables',
+    shortTermLoans: 'businessShortTermLoans',
+    other: 'businessOtherLiabilities'
+};
+
+function addBusinessAdjustment() {
+    businessAdjustmentCount++;
+    businessAdjustments[`pelarasan-${businessAdjustmentCount}`] = {
+        label: '',
+        amount: 0
+    };
+    renderBusinessAdjustments();
+}
+
+function renderBusinessAdjustments() {
+    const selectedAdjustments = document.querySelector('.selected-adjustments');
+    selectedAdjustments.innerHTML = '';
+
+    for (const [key, adjustment] of Object.entries(businessAdjustments)) {
+        const div = document.createElement('div');
+        div.className = 'holding-item';
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="adjustment-label-input" value="${escapeHtml(adjustment.label)}"
+                    data-item="${key}" placeholder="Keterangan pelarasan">
+                <input type="number" class="amount-input adjustment-amount-input" value="${adjustment.amount || 0}"
+                    data-item="${key}" step="100" placeholder="RM (negatif untuk tolak)">
+                <button type="button" class="remove-btn remove-adjustment-btn" data-item="${key}">×</button>
+            </div>
+        `;
+        selectedAdjustments.appendChild(div);
+    }
+
+    addBusinessControlListeners();
+}
+
+function addBusinessControlListeners() {
+    document.querySelectorAll('.adjustment-label-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            businessAdjustments[e.target.dataset.item].label = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.adjustment-amount-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            businessAdjustments[e.target.dataset.item].amount = parseFloat(e.target.value) || 0;
+        });
+    });
+
+    document.querySelectorAll('.remove-adjustment-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete businessAdjustments[e.target.dataset.item];
+            renderBusinessAdjustments();
+        });
+    });
+}
+
+// Read a group of amount fields into { key: number }
+function readBusinessFields(fields) {
+    const values = {};
+    for (const [key, id] of Object.entries(fields)) {
+        values[key] = parseFloat(document.getElementById(id).value) || 0;
+    }
+    return values;
+}
+
+// Collect the perniagaan form as plain input for ZakatEngine.calculateBusinessZakat
+function collectBusinessInput() {
+    return {
+        state: document.getElementById('negeri').value,
+        year: getSelectedYear(),
+        assets: readBusinessFields(BUSINESS_ASSET_FIELDS),
+        liabilities: readBusinessFields(BUSINESS_LIABILITY_FIELDS),
+        adjustments: Object.values(businessAdjustments),
+        ownership: document.getElementById('businessOwnership').value,
+        ownershipPercent: parseFloat(document.getElementById('businessOwnershipPercent').value) || 0
+    };
+}
+
+function showBusinessResult(result) {
+    const adjustmentLines = result.adjustments.map(adjustment =>
+        `Pelarasan — ${escapeHtml(adjustment.label || 'Tanpa keterangan')}: ${formatRinggit(adjustment.amount)}<br>`
+    ).join('');
+
+    const shareLines = result.ownership === 'partnership'
+        ? `Zakat Perniagaan: ${formatRinggit(result.businessZakat)}<br>
+           Bahagian Pemilikan Anda: ${result.ownershipPercent}%`
+        : 'Pemilikan: Milikan tunggal';
+
+    showZakatResult(`
+        Jumlah Aset Semasa: ${formatRinggit(result.totalAssets)}<br>
+        Jumlah Liabiliti Semasa: ${formatRinggit(result.totalLiabilities)}<br>
+        Modal Kerja: ${formatRinggit(result.workingCapital)}<br>
+        ${adjustmentLines}
+        Aset Layak Zakat: ${formatRinggit(result.zakatableAssets)}<br>
+        ${formatNisabLines(result.nisabInfo)}<br>
+        ${shareLines}
+    `, result.zakat);
+}
+
+document.getElementById('addBusinessAdjustment').addEventListener('click', addBusinessAdjustment);
+
+document.getElementById('businessOwnership').addEventListener('change', function(e) {
+    document.getElementById('businessOwnershipGroup').style.display = e.target.value === 'partnership' ? 'block' : 'none';
+});
+
+document.getElementById('businessForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (!validateSharedSettings()) {
+        return;
+    }
+
+    const input = collectBusinessInput();
+
+    if (input.ownership === 'partnership' && (input.ownershipPercent <= 0 || input.ownershipPercent > 100)) {
+        alert('Sila masukkan peratus pemilikan antara 1 dan 100.');
+        return;
+    }
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            showBusinessResult(ZakatEngine.calculateBusinessZakat({ ...input, goldPrice }));
+        })
+        .catch(error => {
+            alert(error.message);
+        });
+});
+
+document.getElementById('businessForm').addEventListener('reset', function() {
+    document.getElementById('result').style.display = 'none';
+    document.getElementById('businessOwnershipGroup').style.display = 'none';
+    businessAdjustments = {};
+    renderBusinessAdjustments();
+});
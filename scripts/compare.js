@@ -0,0 +1,190 @@
+/**
+ * Scenario comparison for ZakatNOW
+ * Holds two to four copies of the pendapatan form and compares them side by
+ * side. Scenarios go through buildZakatInput and ZakatEngine.calculateZakat,
+ * the same path as the form's submit handler.
+ */
+
+const MAX_SCENARIOS = 4;
+
+// Scenarios cloned from the form: { name, formState }
+let compareScenarios = {};
+let compareScenarioCount = 0;
+
+// Rows of the comparison table, each read from a calculateZakat result
+const COMPARE_ROWS = [
+    { label: 'Pendapatan Kasar', value: result => result.gross },
+    { label: 'Jumlah Potongan', value: result => result.totalDeductions },
+    { label: 'Pendapatan Bersih', value: result => result.net },
+    { label: 'Nisab', value: result => result.nisab },
+    { label: 'Zakat', value: result => result.zakat }
+];
+
+function addScenarioFromForm() {
+    if (Object.keys(compareScenarios).length >= MAX_SCENARIOS) {
+        alert(`Maksimum ${MAX_SCENARIOS} senario sahaja.`);
+        return;
+    }
+
+    compareScenarioCount++;
+    compareScenarios[`senario-${compareScenarioCount}`] = {
+        name: `Senario ${compareScenarioCount}`,
+        formState: getIncomeFormState()
+    };
+    renderScenarios();
+}
+
+function renderScenarios() {
+    const selectedScenarios = document.querySelector('.selected-scenarios');
+    selectedScenarios.innerHTML = '';
+
+    for (const [key, scenario] of Object.entries(compareScenarios)) {
+        const stateName = ZakatRules.STATES[scenario.formState.state] || 'Tiada negeri';
+        const div = document.createElement('div');
+        div.className = 'holding-item';
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="holding-name-input scenario-name-input" value="${escapeHtml(scenario.name)}"
+                    data-item="${key}" placeholder="Nama senario">
+                <span class="holding-metal">${stateName}</span>
+                <button type="button" class="remove-btn remove-scenario-btn" data-item="${key}">×</button>
+            </div>
+            <div class="scenario-actions">
+                <button type="button" class="add-account-button load-scenario-btn" data-item="${key}">Muat ke Borang</button>
+                <button type="button" class="add-account-button update-scenario-btn" data-item="${key}">Simpan dari Borang</button>
+            </div>
+        `;
+        selectedScenarios.appendChild(div);
+    }
+
+    addScenarioControlListeners();
+    updateComparison();
+}
+
+function addScenarioControlListeners() {
+    document.querySelectorAll('.scenario-name-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            compareScenarios[e.target.dataset.item].name = e.target.value;
+        });
+        input.addEventListener('change', updateComparison);
+    });
+
+    document.querySelectorAll('.load-scenario-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            applyIncomeFormState(compareScenarios[e.target.dataset.item].formState);
+        });
+    });
+
+    document.querySelectorAll('.update-scenario-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            compareScenarios[e.target.dataset.item].formState = getIncomeFormState();
+            renderScenarios();
+        });
+    });
+
+    document.querySelectorAll('.remove-scenario-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete compareScenarios[e.target.dataset.item];
+            renderScenarios();
+        });
+    });
+}
+
+// Calculate one scenario exactly as the submit handler would
+function calculateScenario(scenario, goldPrice) {
+    try {
+        return { result: ZakatEngine.calculateZakat({ ...buildZakatInput(scenario.formState), goldPrice }) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Show a value with its difference from the first scenario
+function formatCompareCell(value, baseline) {
+    const difference = value - baseline;
+    if (Math.abs(difference) < 0.005) {
+        return `<td>${formatRinggit(value)}</td>`;
+    }
+
+    const sign = difference > 0 ? '+' : '−';
+    return `
+        <td class="compare-diff">
+            ${formatRinggit(value)}
+            <span class="compare-delta">${sign}${formatRinggit(Math.abs(difference))}</span>
+        </td>
+    `;
+}
+
+function renderComparisonTable(scenarios) {
+    const baseline = scenarios[0].result;
+
+    const headerCells = scenarios.map(scenario => `<th>${escapeHtml(scenario.name || 'Tanpa nama')}</th>`).join('');
+    const rows = COMPARE_ROWS.map(row => {
+        const cells = scenarios.map((scenario, index) => {
+            if (scenario.error) {
+                return '<td>—</td>';
+            }
+            if (index === 0 || !baseline) {
+                return `<td>${formatRinggit(row.value(scenario.result))}</td>`;
+            }
+            return formatCompareCell(row.value(scenario.result), row.value(baseline));
+        }).join('');
+        return `<tr><td>${row.label}</td>${cells}</tr>`;
+    }).join('');
+
+    const errorLines = scenarios
+        .filter(scenario => scenario.error)
+        .map(scenario => `<p class="plan-shortfall">${escapeHtml(scenario.name)}: ${escapeHtml(scenario.error)}</p>`)
+        .join('');
+
+    document.querySelector('.compare-table').innerHTML = `
+        <table>
+            <thead><tr><th></th>${headerCells}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${errorLines}
+    `;
+}
+
+function updateComparison() {
+    const compareTable = document.querySelector('.compare-table');
+    const scenarios = Object.values(compareScenarios);
+
+    if (scenarios.length < 2) {
+        compareTable.innerHTML = '<p class="mode-description">Tambah sekurang-kurangnya dua senario untuk dibandingkan.</p>';
+        return;
+    }
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            renderComparisonTable(scenarios.map(scenario => ({
+                name: scenario.name,
+                ...calculateScenario(scenario, goldPrice)
+            })));
+        })
+        .catch(error => {
+            compareTable.innerHTML = `<p class="plan-shortfall">${escapeHtml(error.message)}</p>`;
+        });
+}
+
+document.getElementById('showCompare').addEventListener('change', function(e) {
+    document.getElementById('compareContainer').style.display = e.target.checked ? 'block' : 'none';
+
+    // Start with the form as it is now, ready for a second scenario
+    if (e.target.checked && Object.keys(compareScenarios).length === 0) {
+        addScenarioFromForm();
+    }
+});
+
+document.getElementById('addScenario').addEventListener('click', addScenarioFromForm);
+
+document.getElementById('zakatForm').addEventListener('reset', function(event) {
+    // A restored last session keeps the scenarios
+    if (event.defaultPrevented) {
+        return;
+    }
+
+    document.getElementById('compareContainer').style.display = 'none';
+    compareScenarios = {};
+    renderScenarios();
+});
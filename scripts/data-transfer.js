@@ -0,0 +1,241 @@
+/**
+ * Import and export of saved data for ZakatNOW
+ * Exports saved profiles and payment history as JSON (full fidelity) or CSV
+ * (one row per record, for spreadsheets). Imports either format, validates
+ * every record and merges into local data without overwriting it.
+ */
+
+const EXPORT_FORMAT = 'zakatnow-data';
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = ['record_type', 'id', 'name', 'date', 'amount', 'method', 'status', 'year', 'state', 'details'];
+
+// Offer text as a file download
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function getExportFilename(extension) {
+    return `zakatnow-data-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportJson() {
+    const data = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profiles: getProfiles(),
+        paymentHistory: getPaymentHistory()
+    };
+    downloadFile(getExportFilename('json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Quote a CSV field when it holds a separator, quote or line break
+function toCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The details column keeps the whole record so a CSV can be imported back
+function exportCsv() {
+    const paymentRows = getPaymentHistory().map(payment => ({
+        record_type: 'payment',
+        id: getTransactionId(payment),
+        name: payment.description || '',
+        date: payment.date,
+        amount: parseFloat(payment.amount).toFixed(2),
+        method: payment.method,
+        status: payment.status,
+        details: JSON.stringify(payment)
+    }));
+
+    const profileRows = Object.entries(getProfiles()).map(([id, profile]) => ({
+        record_type: 'calculation',
+        id,
+        name: profile.name,
+        date: profile.savedAt,
+        year: profile.year,
+        state: ZakatRules.STATES[profile.formState.state] || '',
+        details: JSON.stringify(profile)
+    }));
+
+    const lines = [CSV_COLUMNS.join(',')].concat(
+        [...paymentRows, ...profileRows].map(row => CSV_COLUMNS.map(column => toCsvField(row[column])).join(','))
+    );
+    downloadFile(getExportFilename('csv'), lines.join('\r\n'), 'text/csv;charset=utf-8');
+}
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+// Turn CSV rows back into the JSON export shape
+function csvToImportData(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header || CSV_COLUMNS.some(column => !header.includes(column))) {
+        throw new Error('Fail CSV tidak mengandungi lajur yang dijangka.');
+    }
+
+    const data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, profiles: {}, paymentHistory: [] };
+    rows.forEach(fields => {
+        const row = Object.fromEntries(header.map((column, index) => [column, fields[index]]));
+        let details = null;
+        try {
+            details = JSON.parse(row.details);
+        } catch (error) {
+            details = null;
+        }
+
+        if (row.record_type === 'payment') {
+            data.paymentHistory.push(details);
+        } else if (row.record_type === 'calculation') {
+            data.profiles[row.id] = details;
+        }
+    });
+
+    return data;
+}
+
+// Only paid payments are kept, as history and receipts show every record as
+// paid; test-mode payments moved no money and are never imported
+function isValidPayment(payment) {
+    return Boolean(payment) &&
+        typeof payment === 'object' &&
+        payment.status === 'paid' &&
+        !payment.test &&
+        typeof getTransactionId(payment) === 'string' && getTransactionId(payment).length > 0 &&
+        parseFloat(payment.amount) > 0 &&
+        !isNaN(new Date(payment.date).getTime());
+}
+
+function isValidProfile(profile) {
+    return Boolean(profile) &&
+        typeof profile === 'object' &&
+        typeof profile.name === 'string' && profile.name.length > 0 &&
+        Boolean(profile.formState) &&
+        typeof profile.formState.incomeItems === 'object' &&
+        typeof profile.formState.items === 'object';
+}
+
+// Merge imported data into localStorage; local records always win
+function mergeImportData(data) {
+    if (!data || data.format !== EXPORT_FORMAT || typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+        throw new Error('Fail ini bukan fail eksport ZakatNOW yang disokong.');
+    }
+
+    const summary = { payments: 0, profiles: 0, duplicates: 0, invalid: 0 };
+
+    const paymentHistory = getPaymentHistory();
+    const knownTransactions = new Set(paymentHistory.map(getTransactionId));
+    (Array.isArray(data.paymentHistory) ? data.paymentHistory : []).forEach(payment => {
+        if (!isValidPayment(payment)) {
+            summary.invalid++;
+        } else if (knownTransactions.has(getTransactionId(payment))) {
+            summary.duplicates++;
+        } else {
+            paymentHistory.push(payment);
+            knownTransactions.add(getTransactionId(payment));
+            summary.payments++;
+        }
+    });
+    localStorage.setItem(PAYMENT_HISTORY_KEY, JSON.stringify(paymentHistory));
+
+    const profiles = getProfiles();
+    const localNames = new Set(Object.values(profiles).map(profile => profile.name));
+    Object.entries(data.profiles || {}).forEach(([id, profile]) => {
+        if (!isValidProfile(profile)) {
+            summary.invalid++;
+            return;
+        }
+
+        const existing = profiles[id];
+        if (existing && existing.savedAt === profile.savedAt && existing.name === profile.name) {
+            summary.duplicates++;
+            return;
+        }
+
+        // A different profile under a local id or name is kept alongside it
+        const newId = existing ? `profil-${Date.now()}-${summary.profiles}` : id;
+        const name = localNames.has(profile.name) ? `${profile.name} (diimport)` : profile.name;
+        profiles[newId] = { ...profile, name };
+        localNames.add(name);
+        summary.profiles++;
+    });
+    saveProfiles(profiles);
+
+    return summary;
+}
+
+function importFile(file) {
+    file.text()
+        .then(text => {
+            const data = /\.csv$/i.test(file.name) ? csvToImportData(text) : JSON.parse(text);
+            const summary = mergeImportData(data);
+            renderProfileOptions();
+            alert(`Import selesai: ${summary.payments} pembayaran dan ${summary.profiles} profil ditambah. ` +
+                `${summary.duplicates} pendua dan ${summary.invalid} rekod tidak sah diabaikan.`);
+        })
+        .catch(error => {
+            alert(error instanceof SyntaxError ? 'Fail JSON tidak sah.' : error.message);
+        });
+}
+
+document.getElementById('exportJson').addEventListener('click', exportJson);
+document.getElementById('exportCsv').addEventListener('click', exportCsv);
+document.getElementById('importData').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+});
+document.getElementById('importFile').addEventListener('change', function(e) {
+    if (e.target.files[0]) {
+        importFile(e.target.files[0]);
+    }
+    e.target.value = '';
+});
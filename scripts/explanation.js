@@ -0,0 +1,160 @@
+/**
+ * Step-by-step explanation of a zakat pendapatan result for ZakatNOW
+ * Walks through income, deductions, nisab and the zakat rate, citing the
+ * rule behind each step. Each step title carries a tooltip via tooltip.js.
+ */
+
+const ANAK_CATEGORY_LABELS = {
+    'tidak-ipt': 'tidak di IPT',
+    'ipt': 'di IPT',
+    'oku': 'OKU'
+};
+
+// Cite the state figures a calculation used, e.g. "Lembaga Zakat Selangor (LZS), kadar 2025"
+function formatRuleSource(rules) {
+    return `${rules.authority}, kadar ${rules.year} (berkuat kuasa ${rules.effectiveFrom})`;
+}
+
+function explainIncomeSteps(result) {
+    const steps = [{
+        title: 'Pendapatan bulanan asas',
+        detail: `${formatRinggit(result.income.base)} × 12 bulan = ${formatRinggit(result.income.base * 12)}`,
+        source: 'Gaji bulanan disetahunkan (× 12)',
+        tooltip: 'Zakat pendapatan dikira atas pendapatan kasar setahun.'
+    }];
+
+    result.income.lines.forEach(line => {
+        steps.push({
+            title: describeIncomeLine(line),
+            detail: line.frequency === 'monthly'
+                ? `${formatRinggit(line.amount)} × 12 bulan = ${formatRinggit(line.annualAmount)}`
+                : `${formatRinggit(line.annualAmount)} diterima sekali dalam tahun ini`,
+            source: `Kekerapan ${INCOME_FREQUENCY_LABELS[line.frequency]} seperti yang dimasukkan`,
+            tooltip: 'Pendapatan bulanan didarab 12; pendapatan tahunan atau sekali sahaja diambil sekali.'
+        });
+    });
+
+    steps.push({
+        title: 'Jumlah pendapatan kasar setahun',
+        detail: formatRinggit(result.gross),
+        source: 'Jumlah semua baris pendapatan di atas',
+        tooltip: 'Pendapatan kasar sebelum sebarang potongan.'
+    });
+
+    return steps;
+}
+
+// Describe how a deduction rule produced the amount on one result line
+function describeDeductionWorking(line, result) {
+    const rule = result.rules.deductions[line.type] || {};
+
+    switch (line.base) {
+        case 'fixed':
+            return `Amaun tetap ${formatRinggit(line.uncapped)} setahun`;
+        case 'per-unit': {
+            const category = line.type === 'anak' ? ` (${ANAK_CATEGORY_LABELS[line.category || rule.defaultCategory]})` : '';
+            return `${formatRinggit(line.uncapped / line.quantity)}${category} × ${line.quantity} = ${formatRinggit(line.uncapped)}`;
+        }
+        case 'salary-percent':
+            return `${Math.round(rule.rate * 100)}% × gaji asas ${formatRinggit(result.income.base)} × 12 = ${formatRinggit(line.uncapped)}`;
+        default:
+            return line.frequency === 'monthly'
+                ? `${formatRinggit(line.uncapped / 12)} sebulan × 12 = ${formatRinggit(line.uncapped)}`
+                : `Amaun dimasukkan: ${formatRinggit(line.uncapped)}`;
+    }
+}
+
+function explainDeductionSteps(result) {
+    const source = `Jadual potongan ${formatRuleSource(result.rules)}`;
+
+    const steps = result.deductions.map(line => {
+        const capNote = line.capApplied ? `; dihadkan kepada ${formatRinggit(line.cap)} setahun` : '';
+        return {
+            title: `Potongan ${formatLabel(line.type)}`,
+            detail: `${describeDeductionWorking(line, result)}${capNote}`,
+            source,
+            tooltip: document.querySelector(`.add-button[data-item="${line.type}"]`)?.dataset.tooltip
+                || 'Potongan yang dibenarkan sebelum zakat dikira.'
+        };
+    });
+
+    steps.push({
+        title: 'Pendapatan bersih',
+        detail: `${formatRinggit(result.gross)} − ${formatRinggit(result.totalDeductions)} = ${formatRinggit(result.net)}`,
+        source: 'Pendapatan kasar tolak jumlah potongan',
+        tooltip: 'Pendapatan bersih dibandingkan dengan nisab.'
+    });
+
+    return steps;
+}
+
+function explainNisabSteps(result) {
+    const nisabInfo = result.nisabInfo;
+    const nisabStep = nisabInfo.basis === 'gold'
+        ? {
+            title: 'Nisab',
+            detail: `${nisabInfo.goldGrams}g emas × RM${nisabInfo.pricePerGram.toFixed(2)}/g = ${formatRinggit(nisabInfo.amount)}`,
+            source: `Harga emas ${nisabInfo.priceDate}, ${nisabInfo.priceSource}`,
+            tooltip: 'Nisab ialah nilai 85 gram emas; harta di bawah nisab tidak wajib dizakatkan.'
+        }
+        : {
+            title: `Nisab ${nisabInfo.stateName}`,
+            detail: formatRinggit(nisabInfo.amount),
+            source: formatRuleSource(result.rules),
+            tooltip: 'Nisab ialah paras minimum yang diumumkan oleh pihak berkuasa zakat negeri.'
+        };
+
+    const comparisonStep = {
+        title: 'Perbandingan dengan nisab',
+        detail: result.isWajib
+            ? `${formatRinggit(result.net)} ≥ ${formatRinggit(result.nisab)} — wajib zakat`
+            : `${formatRinggit(result.net)} < ${formatRinggit(result.nisab)} — tidak wajib zakat`,
+        source: 'Zakat hanya wajib apabila pendapatan bersih mencapai nisab',
+        tooltip: 'Jika pendapatan bersih di bawah nisab, tiada zakat perlu dibayar.'
+    };
+
+    return [nisabStep, comparisonStep];
+}
+
+function explainRateStep(result) {
+    return {
+        title: 'Kadar zakat',
+        detail: result.isWajib
+            ? `${(result.rate * 100).toFixed(1)}% × ${formatRinggit(result.net)} = ${formatRinggit(result.zakat)}`
+            : `Tidak dikenakan kerana di bawah nisab — ${formatRinggit(0)}`,
+        source: 'Kadar zakat pendapatan 2.5% (1/40)',
+        tooltip: 'Kadar zakat harta dan pendapatan ialah 2.5% daripada jumlah yang layak dizakatkan.'
+    };
+}
+
+// Build every step of a calculateZakat result, in the order it was worked out
+function explainZakatResult(result) {
+    return [
+        ...explainIncomeSteps(result),
+        ...explainDeductionSteps(result),
+        ...explainNisabSteps(result),
+        explainRateStep(result)
+    ];
+}
+
+function renderCalculationExplanation(result) {
+    const explanation = document.getElementById('calculationExplanation');
+    const stepList = explanation.querySelector('.explanation-steps');
+
+    const steps = explainZakatResult(result);
+
+    stepList.innerHTML = steps.map(step => `
+        <li class="explanation-step">
+            <span class="explanation-title">${step.title}</span>
+            <span class="explanation-detail">${step.detail}</span>
+            <span class="explanation-source">Sumber: ${escapeHtml(step.source)}</span>
+        </li>
+    `).join('');
+
+    stepList.querySelectorAll('.explanation-title').forEach((title, index) => {
+        addTooltip(title, steps[index].tooltip);
+    });
+
+    explanation.open = false;
+    explanation.style.display = 'block';
+}
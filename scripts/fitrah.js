@@ -0,0 +1,151 @@
+/**
+ * Zakat fitrah mode for ZakatNOW
+ * Collects household members and totals the fitrah obligation at the
+ * selected state's rate for the chosen rice grade.
+ */
+
+// Household members entered in the fitrah form
+let fitrahMembers = {};
+let fitrahMemberCount = 0;
+
+const FITRAH_CATEGORIES = {
+    'dewasa': 'Dewasa',
+    'tanggungan': 'Tanggungan',
+    'bayi': 'Bayi'
+};
+
+function addFitrahMember() {
+    fitrahMemberCount++;
+    fitrahMembers[`ahli-${fitrahMemberCount}`] = {
+        name: `Ahli ${fitrahMemberCount}`,
+        category: fitrahMemberCount === 1 ? 'dewasa' : 'tanggungan',
+        bornBeforeEid: true
+    };
+    renderFitrahMembers();
+}
+
+function renderFitrahMembers() {
+    const selectedMembers = document.querySelector('.selected-members');
+    selectedMembers.innerHTML = '';
+
+    for (const [key, member] of Object.entries(fitrahMembers)) {
+        const div = document.createElement('div');
+        div.className = 'holding-item';
+
+        const categoryOptions = Object.entries(FITRAH_CATEGORIES).map(([value, label]) => `
+            <option value="${value}" ${member.category === value ? 'selected' : ''}>${label}</option>
+        `).join('');
+
+        const newbornHTML = member.category === 'bayi' ? `
+            <label class="haul-check">
+                <input type="checkbox" class="fitrah-born-input" data-item="${key}" ${member.bornBeforeEid ? 'checked' : ''}>
+                Lahir sebelum terbenam matahari akhir Ramadan
+            </label>
+        ` : '';
+
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="holding-name-input fitrah-name-input" value="${escapeHtml(member.name)}" data-item="${key}" placeholder="Nama ahli">
+                <select class="holding-usage fitrah-category" data-item="${key}">${categoryOptions}</select>
+                <button type="button" class="remove-btn remove-member-btn" data-item="${key}">×</button>
+            </div>
+            ${newbornHTML}
+        `;
+
+        selectedMembers.appendChild(div);
+    }
+
+    addFitrahControlListeners();
+}
+
+function addFitrahControlListeners() {
+    document.querySelectorAll('.fitrah-name-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            fitrahMembers[e.target.dataset.item].name = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.fitrah-category').forEach(select => {
+        select.addEventListener('change', (e) => {
+            fitrahMembers[e.target.dataset.item].category = e.target.value;
+            renderFitrahMembers();
+        });
+    });
+
+    document.querySelectorAll('.fitrah-born-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            fitrahMembers[e.target.dataset.item].bornBeforeEid = e.target.checked;
+        });
+    });
+
+    document.querySelectorAll('.remove-member-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete fitrahMembers[e.target.dataset.item];
+            renderFitrahMembers();
+        });
+    });
+}
+
+// Show each rice grade with the selected state's rate
+function updateFitrahGradeOptions() {
+    const gradeSelect = document.getElementById('fitrahGrade');
+    const selectedGrade = gradeSelect.value || 'tempatan';
+    const rules = ZakatRules.getRules(document.getElementById('negeri').value, getSelectedYear());
+    const rates = rules ? rules.fitrah : ZakatRules.DEFAULT_FITRAH;
+
+    gradeSelect.innerHTML = Object.entries(ZakatRules.RICE_GRADES).map(([grade, label]) => `
+        <option value="${grade}" ${grade === selectedGrade ? 'selected' : ''}>${label} (${formatRinggit(rates[grade])} seorang)</option>
+    `).join('');
+}
+
+// Collect the fitrah form as plain input for ZakatEngine.calculateFitrah
+function collectFitrahInput() {
+    return {
+        state: document.getElementById('negeri').value,
+        year: getSelectedYear(),
+        grade: document.getElementById('fitrahGrade').value,
+        members: Object.values(fitrahMembers)
+    };
+}
+
+function showFitrahResult(result) {
+    const memberLines = result.members.map(member => {
+        const note = member.counted ? formatRinggit(member.amount) : 'tidak wajib (lahir selepas Aidilfitri)';
+        return `${escapeHtml(member.name)} (${FITRAH_CATEGORIES[member.category]}): ${note}`;
+    }).join('<br>');
+
+    showZakatResult(`
+        ${memberLines}<br>
+        Kadar Fitrah (${result.stateName}, ${result.year}): ${ZakatRules.RICE_GRADES[result.grade]} — ${formatRinggit(result.ratePerPerson)} seorang<br>
+        Bilangan Ahli Wajib Fitrah: ${result.personCount} orang
+    `, result.zakat);
+}
+
+document.getElementById('addFitrahMember').addEventListener('click', addFitrahMember);
+document.getElementById('negeri').addEventListener('change', updateFitrahGradeOptions);
+document.getElementById('tahun').addEventListener('change', updateFitrahGradeOptions);
+updateFitrahGradeOptions();
+
+document.getElementById('fitrahForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (!validateSharedSettings()) {
+        return;
+    }
+
+    if (Object.keys(fitrahMembers).length === 0) {
+        alert('Sila tambah sekurang-kurangnya seorang ahli isi rumah.');
+        return;
+    }
+
+    try {
+        showFitrahResult(ZakatEngine.calculateFitrah(collectFitrahInput()));
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+document.getElementById('fitrahForm').addEventListener('reset', function() {
+    document.getElementById('result').style.display = 'none';
+    fitrahMembers = {};
+    renderFitrahMembers();
+});
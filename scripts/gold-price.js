@@ -0,0 +1,122 @@
+/**
+ * Gold price providers for ZakatNOW
+ * Supplies the gold price used to derive nisab from 85g of gold.
+ * Every provider exposes getPrice(), which resolves to
+ * { pricePerGram, date, source }.
+ */
+
+/**
+ * Check and normalise a price reading from any provider
+ */
+function normaliseGoldPrice(price) {
+    const pricePerGram = parseFloat(price.pricePerGram);
+
+    if (isNaN(pricePerGram) || pricePerGram <= 0) {
+        throw new Error('Harga emas tidak sah.');
+    }
+
+    return {
+        pricePerGram,
+        date: price.date || new Date().toISOString().slice(0, 10),
+        source: price.source || 'Tidak dinyatakan'
+    };
+}
+
+/**
+ * Price entered by the user
+ */
+class ManualGoldPriceProvider {
+    constructor(pricePerGram, date) {
+        this.pricePerGram = pricePerGram;
+        this.date = date;
+    }
+
+    getPrice() {
+        return new Promise(resolve => {
+            resolve(normaliseGoldPrice({
+                pricePerGram: this.pricePerGram,
+                date: this.date,
+                source: 'Harga dimasukkan pengguna'
+            }));
+        });
+    }
+}
+
+/**
+ * Price read from a JSON file hosted with the site, e.g. data/gold-price.json:
+ * { "price_per_gram": 450.00, "date": "2025-10-01", "source": "..." }
+ */
+class JsonFileGoldPriceProvider {
+    constructor(url = './data/gold-price.json') {
+        this.url = url;
+    }
+
+    getPrice() {
+        return fetch(this.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Fail harga emas tidak dapat dibaca (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => normaliseGoldPrice({
+                pricePerGram: data.price_per_gram,
+                date: data.date,
+                source: data.source || this.url
+            }));
+    }
+}
+
+/**
+ * Price fetched from an HTTP price service. The response is mapped with
+ * parseResponse, which defaults to the same shape as the JSON file.
+ */
+class HttpGoldPriceProvider {
+    constructor(endpoint, parseResponse) {
+        this.endpoint = endpoint;
+        this.parseResponse = parseResponse || (data => ({
+            pricePerGram: data.price_per_gram,
+            date: data.date,
+            source: data.source || this.endpoint
+        }));
+    }
+
+    getPrice() {
+        return fetch(this.endpoint, { headers: { 'Accept': 'application/json' } })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Perkhidmatan harga emas tidak tersedia (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => normaliseGoldPrice(this.parseResponse(data)));
+    }
+}
+
+/**
+ * Price from the first of several providers that gives one, e.g. an HTTP
+ * service with the hosted JSON file to fall back on. Fails with the last
+ * provider's error when none does.
+ */
+class FallbackGoldPriceProvider {
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    getPrice() {
+        return this.providers.reduce(
+            (attempt, provider) => attempt.catch(() => provider.getPrice()),
+            Promise.reject(new Error('Tiada sumber harga emas.'))
+        );
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normaliseGoldPrice,
+        ManualGoldPriceProvider,
+        JsonFileGoldPriceProvider,
+        HttpGoldPriceProvider,
+        FallbackGoldPriceProvider
+    };
+}
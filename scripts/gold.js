@@ -0,0 +1,176 @@
+/**
+ * Zakat emas and perak mode for ZakatNOW
+ * Collects gold and silver items by weight and purity, marked as worn
+ * jewellery or stored, and shows the result in the shared result panel.
+ */
+
+// Gold and silver items entered in the emas form
+let goldItems = {};
+let goldItemCount = 0;
+
+const PURITY_OPTIONS = {
+    gold: [
+        { value: 999, label: '999 (24K)' },
+        { value: 916, label: '916 (22K)' },
+        { value: 875, label: '875 (21K)' },
+        { value: 750, label: '750 (18K)' }
+    ],
+    silver: [
+        { value: 999, label: '999' },
+        { value: 925, label: '925 (Sterling)' }
+    ]
+};
+
+function addGoldItem(metal) {
+    goldItemCount++;
+    goldItems[`logam-${goldItemCount}`] = {
+        name: metal === 'silver' ? `Perak ${goldItemCount}` : `Emas ${goldItemCount}`,
+        metal,
+        weight: 0,
+        purity: metal === 'silver' ? 999 : 916,
+        usage: metal === 'silver' ? 'stored' : 'worn'
+    };
+    renderGoldItems();
+}
+
+function renderGoldItems() {
+    const selectedHoldings = document.querySelector('.selected-holdings');
+    selectedHoldings.innerHTML = '';
+
+    for (const [key, item] of Object.entries(goldItems)) {
+        const div = document.createElement('div');
+        div.className = 'holding-item';
+
+        const purityOptions = PURITY_OPTIONS[item.metal].map(option => `
+            <option value="${option.value}" ${item.purity === option.value ? 'selected' : ''}>${option.label}</option>
+        `).join('');
+
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="holding-name-input" value="${escapeHtml(item.name)}" data-item="${key}" placeholder="Nama barang">
+                <span class="holding-metal">${item.metal === 'silver' ? 'Perak' : 'Emas'}</span>
+                <button type="button" class="remove-btn remove-holding-btn" data-item="${key}">×</button>
+            </div>
+            <div class="holding-fields">
+                <input type="number" class="amount-input holding-weight-input" value="${item.weight || 0}"
+                    data-item="${key}" min="0" step="0.01" placeholder="Berat (g)">
+                <select class="holding-purity" data-item="${key}">${purityOptions}</select>
+                <select class="holding-usage" data-item="${key}">
+                    <option value="worn" ${item.usage === 'worn' ? 'selected' : ''}>Dipakai</option>
+                    <option value="stored" ${item.usage === 'stored' ? 'selected' : ''}>Disimpan</option>
+                </select>
+            </div>
+        `;
+
+        selectedHoldings.appendChild(div);
+    }
+
+    addGoldControlListeners();
+}
+
+function addGoldControlListeners() {
+    // Other modes reuse the holding classes for their own fields, so only look in the gold list
+    const selectedHoldings = document.querySelector('.selected-holdings');
+
+    selectedHoldings.querySelectorAll('.holding-name-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            goldItems[e.target.dataset.item].name = e.target.value;
+        });
+    });
+
+    selectedHoldings.querySelectorAll('.holding-weight-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            goldItems[e.target.dataset.item].weight = parseFloat(e.target.value) || 0;
+        });
+    });
+
+    selectedHoldings.querySelectorAll('.holding-purity').forEach(select => {
+        select.addEventListener('change', (e) => {
+            goldItems[e.target.dataset.item].purity = parseInt(e.target.value);
+        });
+    });
+
+    selectedHoldings.querySelectorAll('.holding-usage').forEach(select => {
+        select.addEventListener('change', (e) => {
+            goldItems[e.target.dataset.item].usage = e.target.value;
+        });
+    });
+
+    selectedHoldings.querySelectorAll('.remove-holding-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete goldItems[e.target.dataset.item];
+            renderGoldItems();
+        });
+    });
+}
+
+// Collect the emas form as plain input for ZakatEngine.calculateGoldSilverZakat
+function collectGoldInput() {
+    return {
+        state: document.getElementById('negeri').value,
+        year: getSelectedYear(),
+        goldPricePerGram: parseFloat(document.getElementById('goldItemPrice').value) || 0,
+        silverPricePerGram: parseFloat(document.getElementById('silverItemPrice').value) || 0,
+        items: Object.values(goldItems)
+    };
+}
+
+// Format a weight in grams for display
+function formatGrams(value) {
+    return `${value.toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}g`;
+}
+
+function showGoldResult(result) {
+    const holdingLines = result.holdings.map(item => {
+        const usage = item.usage === 'worn' ? 'dipakai' : 'disimpan';
+        return `${escapeHtml(item.name)}: ${formatGrams(item.weight)} × ${item.purity}/1000 = ${formatGrams(item.pureWeight)} (${usage})`;
+    }).join('<br>');
+
+    showZakatResult(`
+        ${holdingLines}<br>
+        Emas Dipakai: ${formatGrams(result.gold.worn)} — uruf ${result.stateName} ${formatGrams(result.uruf)},
+        layak zakat ${formatGrams(result.gold.wornZakatable)}<br>
+        Emas Disimpan: ${formatGrams(result.gold.stored)} — nisab ${formatGrams(result.gold.nisabGrams)},
+        layak zakat ${formatGrams(result.gold.storedZakatable)}<br>
+        Nilai Emas Layak Zakat: ${formatGrams(result.gold.zakatableWeight)} × RM${result.gold.pricePerGram.toFixed(2)}/g = ${formatRinggit(result.gold.value)}<br>
+        Perak: ${formatGrams(result.silver.weight)} — nisab ${formatGrams(result.silver.nisabGrams)},
+        nilai layak zakat ${formatRinggit(result.silver.value)}<br>
+        Jumlah Nilai Layak Zakat: ${formatRinggit(result.totalValue)}
+    `, result.zakat);
+}
+
+document.getElementById('addGoldItem').addEventListener('click', () => addGoldItem('gold'));
+document.getElementById('addSilverItem').addEventListener('click', () => addGoldItem('silver'));
+
+document.getElementById('goldForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (!validateSharedSettings()) {
+        return;
+    }
+
+    if (Object.keys(goldItems).length === 0) {
+        alert('Sila tambah sekurang-kurangnya satu barang emas atau perak.');
+        return;
+    }
+
+    const input = collectGoldInput();
+    const hasGold = input.items.some(item => item.metal === 'gold');
+    const hasSilver = input.items.some(item => item.metal === 'silver');
+
+    if ((hasGold && input.goldPricePerGram <= 0) || (hasSilver && input.silverPricePerGram <= 0)) {
+        alert('Sila masukkan harga segram yang sah.');
+        return;
+    }
+
+    try {
+        showGoldResult(ZakatEngine.calculateGoldSilverZakat(input));
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+document.getElementById('goldForm').addEventListener('reset', function() {
+    document.getElementById('result').style.display = 'none';
+    goldItems = {};
+    renderGoldItems();
+});
@@ -0,0 +1,227 @@
+/**
+ * Multi-person household for ZakatNOW
+ * Keeps a pendapatan form snapshot for each named person, switches the form
+ * between them and shows everyone's zakat with a household total.
+ */
+
+// Persons in the household; the active person's details live in the form itself
+let householdPersons = {};
+let householdPersonCount = 0;
+let activePersonKey = null;
+
+// Last household calculation, used by the per-person payment buttons
+let lastHouseholdCalculation = null;
+
+function createHouseholdPerson(formState) {
+    householdPersonCount++;
+    const key = `orang-${householdPersonCount}`;
+    householdPersons[key] = {
+        name: `Ahli ${householdPersonCount}`,
+        formState
+    };
+    return key;
+}
+
+// Store the form into the active person before it shows someone else
+function saveActivePerson() {
+    if (activePersonKey && householdPersons[activePersonKey]) {
+        householdPersons[activePersonKey].formState = getIncomeFormState();
+    }
+}
+
+function switchHouseholdPerson(key) {
+    saveActivePerson();
+    activePersonKey = key;
+    applyIncomeFormState(householdPersons[key].formState);
+    renderHouseholdPersons();
+
+    // A result on screen belongs to the previous person or to the whole household
+    document.getElementById('result').style.display = 'none';
+}
+
+function addHouseholdPerson() {
+    // A new person starts with an empty form in the same state as the current one
+    const key = createHouseholdPerson({
+        state: document.getElementById('negeri').value,
+        incomeItems: {},
+        items: {}
+    });
+    switchHouseholdPerson(key);
+}
+
+function removeHouseholdPerson(key) {
+    delete householdPersons[key];
+
+    if (key === activePersonKey) {
+        activePersonKey = null;
+        switchHouseholdPerson(Object.keys(householdPersons)[0]);
+    } else {
+        renderHouseholdPersons();
+    }
+}
+
+function renderHouseholdPersons() {
+    const householdList = document.querySelector('.household-persons');
+    const personKeys = Object.keys(householdPersons);
+
+    // Income is only required of someone calculated alone; a household member may have none
+    document.getElementById('pendapatanBulanan').required = !isHouseholdCalculation();
+
+    const tabsHTML = personKeys.map(key => `
+        <button type="button" class="person-tab ${key === activePersonKey ? 'active' : ''}" data-person="${key}">
+            ${escapeHtml(householdPersons[key].name || 'Tanpa nama')}
+        </button>
+    `).join('');
+
+    // Naming only matters once there is more than one person
+    const nameHTML = personKeys.length > 1 ? `
+        <div class="person-name-row">
+            <input type="text" class="holding-name-input person-name-input" value="${escapeHtml(householdPersons[activePersonKey].name)}"
+                placeholder="Nama ahli">
+            <button type="button" class="remove-btn remove-person-btn" data-person="${activePersonKey}">×</button>
+        </div>
+    ` : '';
+
+    householdList.innerHTML = personKeys.length > 1 ? tabsHTML + nameHTML : '';
+    addHouseholdControlListeners();
+}
+
+function addHouseholdControlListeners() {
+    document.querySelectorAll('.person-tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+            if (e.currentTarget.dataset.person !== activePersonKey) {
+                switchHouseholdPerson(e.currentTarget.dataset.person);
+            }
+        });
+    });
+
+    document.querySelector('.person-name-input')?.addEventListener('input', (e) => {
+        householdPersons[activePersonKey].name = e.target.value;
+        document.querySelector('.person-tab.active').textContent = e.target.value || 'Tanpa nama';
+    });
+
+    document.querySelector('.remove-person-btn')?.addEventListener('click', (e) => {
+        removeHouseholdPerson(e.target.dataset.person);
+    });
+}
+
+// True when the pendapatan form should be calculated for the whole household
+function isHouseholdCalculation() {
+    return Object.keys(householdPersons).length > 1;
+}
+
+function calculateHousehold() {
+    saveActivePerson();
+
+    const persons = Object.entries(householdPersons).map(([key, person]) => ({
+        key,
+        name: person.name || 'Tanpa nama',
+        input: buildZakatInput(person.formState)
+    }));
+
+    const withoutState = persons.find(person => !person.input.state);
+    if (withoutState) {
+        alert(`Sila pilih negeri bagi ${withoutState.name}.`);
+        return;
+    }
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            // A member without income (a child, a non-earning spouse) owes no zakat
+            showHouseholdResult(ZakatEngine.calculateHouseholdZakat({ goldPrice, persons }));
+        })
+        .catch(error => {
+            alert(error.message);
+        });
+}
+
+// One receipt summary line per person
+function summarisePersonZakat(person) {
+    const result = person.result;
+    return `${person.name} (${result.rules.stateName}): pendapatan bersih ${formatRinggit(result.net)}, zakat ${formatRinggit(result.zakat)}`;
+}
+
+// Payment description for paying the whole household, or one person in it
+function getHouseholdPaymentContext(person) {
+    const context = PAYMENT_CONTEXTS.pendapatan;
+    const payer = person
+        ? person.name
+        : `Isi Rumah (${lastHouseholdCalculation.wajibCount} orang)`;
+    const persons = person ? [person] : lastHouseholdCalculation.persons;
+
+    // The receipt names one authority only when everyone pays to the same state
+    const states = [...new Set(persons.map(entry => entry.result.state))];
+
+    return {
+        type: 'pendapatan',
+        description: `${context.description} — ${payer}`,
+        referencePrefix: context.referencePrefix,
+        year: getSelectedYear(),
+        state: states.length === 1 ? states[0] : '',
+        summary: persons.map(summarisePersonZakat)
+    };
+}
+
+function showHouseholdResult(household) {
+    const personLines = household.persons.map(person => {
+        const result = person.result;
+        let zakatNote = result.isWajib ? formatRinggit(result.zakat) : 'tidak wajib (di bawah nisab)';
+        if (result.gross <= 0) {
+            zakatNote = 'tidak wajib (tiada pendapatan)';
+        }
+        const payButton = result.zakat > 0
+            ? `<button type="button" class="add-account-button pay-person-button" data-person="${person.key}">Bayar</button>`
+            : '';
+
+        return `
+            <div class="household-person-result">
+                <span>
+                    <strong>${escapeHtml(person.name)}</strong> (${result.rules.stateName})<br>
+                    Pendapatan Bersih: ${formatRinggit(result.net)} — nisab ${formatRinggit(result.nisab)}<br>
+                    Zakat: ${zakatNote}
+                </span>
+                ${payButton}
+            </div>
+        `;
+    }).join('');
+
+    showZakatResult(`
+        ${personLines}
+        Bilangan Ahli Wajib Zakat: ${household.wajibCount} daripada ${household.persons.length} orang
+    `, household.zakat);
+
+    lastHouseholdCalculation = household;
+    window.paymentService?.setPaymentContext(getHouseholdPaymentContext());
+
+    document.querySelectorAll('.pay-person-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            payForHouseholdPerson(e.target.dataset.person);
+        });
+    });
+}
+
+// Open the payment form for one person's share only
+function payForHouseholdPerson(key) {
+    const person = lastHouseholdCalculation.persons.find(entry => entry.key === key);
+
+    window.paymentService?.setPaymentContext(getHouseholdPaymentContext(person));
+    document.getElementById('paymentAmount').value = person.result.zakat.toFixed(2);
+    document.getElementById('payerName').value = person.name;
+    window.paymentService?.showPaymentProcessing(false);
+    document.getElementById('paymentModal').style.display = 'block';
+}
+
+// The main pay button pays for everyone, even after a per-person payment was opened
+document.getElementById('payZakatButton').addEventListener('click', () => {
+    if (currentMode === 'pendapatan' && isHouseholdCalculation() && lastHouseholdCalculation) {
+        window.paymentService?.setPaymentContext(getHouseholdPaymentContext());
+    }
+});
+
+document.getElementById('addHouseholdPerson').addEventListener('click', () => {
+    // The person already on the form becomes the first named member
+    if (Object.keys(householdPersons).length === 0) {
+        activePersonKey = createHouseholdPerson(null);
+    }
+    addHouseholdPerson();
+});
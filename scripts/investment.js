@@ -0,0 +1,201 @@
+/**
+ * Investment zakat mode for ZakatNOW
+ * Collects shares, ASB and unit trust holdings with their dividends and
+ * shows a per-holding breakdown in the shared result panel.
+ */
+
+// Investment holdings entered in the pelaburan form
+let investmentHoldings = {};
+let investmentHoldingCount = 0;
+
+const INVESTMENT_TYPES = {
+    'saham': 'Saham Bursa',
+    'asb': 'ASB / ASN',
+    'unit-amanah': 'Unit Amanah'
+};
+
+const INVESTMENT_METHODS = {
+    'market': 'Nilai pasaran + dividen',
+    'dividend': 'Dividen sahaja'
+};
+
+function addInvestmentHolding() {
+    investmentHoldingCount++;
+    investmentHoldings[`pelaburan-${investmentHoldingCount}`] = {
+        name: `Pelaburan ${investmentHoldingCount}`,
+        type: 'saham',
+        valuation: 'market',
+        marketValue: 0,
+        units: 0,
+        pricePerUnit: 0,
+        dividends: 0,
+        heldFullHaul: true
+    };
+    renderInvestmentHoldings();
+}
+
+function renderInvestmentHoldings() {
+    const selectedInvestments = document.querySelector('.selected-investments');
+    selectedInvestments.innerHTML = '';
+
+    for (const [key, holding] of Object.entries(investmentHoldings)) {
+        const div = document.createElement('div');
+        div.className = 'holding-item';
+
+        const typeOptions = Object.entries(INVESTMENT_TYPES).map(([value, label]) => `
+            <option value="${value}" ${holding.type === value ? 'selected' : ''}>${label}</option>
+        `).join('');
+
+        let valueHTML = '';
+        if (holding.valuation === 'units') {
+            valueHTML = `
+                <input type="number" class="amount-input investment-field" value="${holding.units || 0}"
+                    data-item="${key}" data-field="units" min="0" step="1" placeholder="Unit">
+                <input type="number" class="amount-input investment-field" value="${holding.pricePerUnit || 0}"
+                    data-item="${key}" data-field="pricePerUnit" min="0" step="0.01" placeholder="Harga seunit (RM)">
+            `;
+        } else {
+            valueHTML = `
+                <input type="number" class="amount-input investment-field" value="${holding.marketValue || 0}"
+                    data-item="${key}" data-field="marketValue" min="0" step="100" placeholder="Nilai pasaran (RM)">
+            `;
+        }
+
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="investment-name-input" value="${escapeHtml(holding.name)}" data-item="${key}" placeholder="Nama pelaburan">
+                <select class="investment-type" data-item="${key}">${typeOptions}</select>
+                <button type="button" class="remove-btn remove-investment-btn" data-item="${key}">×</button>
+            </div>
+            <div class="holding-fields investment-fields">
+                <select class="investment-valuation" data-item="${key}">
+                    <option value="market" ${holding.valuation === 'market' ? 'selected' : ''}>Nilai pasaran</option>
+                    <option value="units" ${holding.valuation === 'units' ? 'selected' : ''}>Unit × harga</option>
+                </select>
+                ${valueHTML}
+            </div>
+            <div class="holding-fields investment-fields">
+                <label class="month-balance">
+                    <span>Dividen diterima (RM)</span>
+                    <input type="number" class="amount-input investment-field" value="${holding.dividends || 0}"
+                        data-item="${key}" data-field="dividends" min="0" step="10">
+                </label>
+                <label class="haul-check">
+                    <input type="checkbox" class="investment-haul-input" data-item="${key}" ${holding.heldFullHaul ? 'checked' : ''}>
+                    Dimiliki cukup haul
+                </label>
+            </div>
+        `;
+
+        selectedInvestments.appendChild(div);
+    }
+
+    addInvestmentControlListeners();
+}
+
+function addInvestmentControlListeners() {
+    document.querySelectorAll('.investment-name-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            investmentHoldings[e.target.dataset.item].name = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.investment-type').forEach(select => {
+        select.addEventListener('change', (e) => {
+            investmentHoldings[e.target.dataset.item].type = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.investment-valuation').forEach(select => {
+        select.addEventListener('change', (e) => {
+            investmentHoldings[e.target.dataset.item].valuation = e.target.value;
+            renderInvestmentHoldings();
+        });
+    });
+
+    document.querySelectorAll('.investment-field').forEach(input => {
+        input.addEventListener('input', (e) => {
+            investmentHoldings[e.target.dataset.item][e.target.dataset.field] = parseFloat(e.target.value) || 0;
+        });
+    });
+
+    document.querySelectorAll('.investment-haul-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            investmentHoldings[e.target.dataset.item].heldFullHaul = e.target.checked;
+        });
+    });
+
+    document.querySelectorAll('.remove-investment-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete investmentHoldings[e.target.dataset.item];
+            renderInvestmentHoldings();
+        });
+    });
+}
+
+// Collect the pelaburan form as plain input for ZakatEngine.calculateInvestmentZakat
+function collectInvestmentInput() {
+    return {
+        state: document.getElementById('negeri').value,
+        year: getSelectedYear(),
+        method: document.getElementById('investmentMethod').value || undefined,
+        holdings: Object.values(investmentHoldings).map(holding => ({
+            name: holding.name,
+            type: holding.type,
+            marketValue: holding.valuation === 'market' ? holding.marketValue : undefined,
+            units: holding.valuation === 'units' ? holding.units : undefined,
+            pricePerUnit: holding.valuation === 'units' ? holding.pricePerUnit : undefined,
+            dividends: holding.dividends,
+            heldFullHaul: holding.heldFullHaul
+        }))
+    };
+}
+
+function showInvestmentResult(result) {
+    const holdingLines = result.holdings.map(holding => {
+        const haulNote = holding.heldFullHaul ? '' : ' (belum cukup haul)';
+        return `
+            ${escapeHtml(holding.name)} (${INVESTMENT_TYPES[holding.type]}): nilai ${formatRinggit(holding.value)}${haulNote},
+            dividen ${formatRinggit(holding.dividends)} — layak zakat ${formatRinggit(holding.zakatable)},
+            zakat ${formatRinggit(holding.zakat)}
+        `;
+    }).join('<br>');
+
+    showZakatResult(`
+        Kaedah: ${INVESTMENT_METHODS[result.method]}<br>
+        ${holdingLines}<br>
+        Jumlah Nilai Pelaburan: ${formatRinggit(result.totalWealth)}<br>
+        Jumlah Layak Zakat: ${formatRinggit(result.totalZakatable)}<br>
+        ${formatNisabLines(result.nisabInfo)}
+    `, result.zakat);
+}
+
+document.getElementById('addInvestmentHolding').addEventListener('click', addInvestmentHolding);
+
+document.getElementById('investmentForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (!validateSharedSettings()) {
+        return;
+    }
+
+    if (Object.keys(investmentHoldings).length === 0) {
+        alert('Sila tambah sekurang-kurangnya satu pelaburan.');
+        return;
+    }
+
+    const input = collectInvestmentInput();
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            showInvestmentResult(ZakatEngine.calculateInvestmentZakat({ ...input, goldPrice }));
+        })
+        .catch(error => {
+            alert(error.message);
+        });
+});
+
+document.getElementById('investmentForm').addEventListener('reset', function() {
+    document.getElementById('result').style.display = 'none';
+    investmentHoldings = {};
+    renderInvestmentHoldings();
+});
@@ -0,0 +1,161 @@
+/**
+ * Scriptable mock payment gateway for ZakatNOW
+ * Implements the payment gateway interface (createSession, getStatus,
+ * verifyCallback, mapMethod) with outcomes set in advance instead of drawn at
+ * random, so the payment flow behaves the same on every run. Used by the
+ * page's test mode and by the server with PAYMENT_GATEWAY=mock.
+ *
+ * Outcomes:
+ *   success  the payment is paid
+ *   failure  the payment fails
+ *   pending  the payment stays pending
+ *   timeout  creating the session fails after timeoutMs, as if the gateway never answered
+ */
+
+const MockGateway = (() => {
+    const OUTCOMES = ['success', 'failure', 'pending', 'timeout'];
+
+    const OUTCOME_STATUS = {
+        success: 'paid',
+        failure: 'failed',
+        pending: 'pending'
+    };
+
+    const METHODS = ['fpx', 'card', 'wallet', 'qr'];
+
+    function checkOutcome(outcome) {
+        if (!OUTCOMES.includes(outcome)) {
+            throw new Error(`Unknown mock gateway outcome: ${outcome}`);
+        }
+        return outcome;
+    }
+
+    function toResult(payment) {
+        return {
+            payment_id: payment.payment_id,
+            status: payment.status,
+            transaction_id: payment.transaction_id,
+            reference_id: payment.reference_id,
+            amount: payment.amount,
+            method: payment.method,
+            date: payment.date
+        };
+    }
+
+    /**
+     * Create a mock gateway
+     *
+     * options = {
+     *     outcomes: ['success', 'failure'], // used in order, one per session
+     *     defaultOutcome: 'success',        // used once the list runs out
+     *     timeoutMs: 0,                     // delay before a timeout fails
+     *     onCallback: fields => {},         // receives the callback of paid and failed sessions
+     *     now: () => new Date()
+     * }
+     *
+     * Payment and transaction IDs start with a part drawn when the gateway is
+     * created, so a gateway made on a later page load or server start does not
+     * hand out IDs already in the payment history.
+     */
+    function createMockGateway(options = {}) {
+        const outcomes = (options.outcomes || []).map(checkOutcome);
+        const defaultOutcome = checkOutcome(options.defaultOutcome || 'success');
+        const now = options.now || (() => new Date());
+        const payments = new Map();
+        const callbackTokens = new Map();
+        const instanceId = (now().getTime().toString(36) + Math.random().toString(36).slice(2, 6)).toUpperCase();
+        let sessionCount = 0;
+
+        /**
+         * Add outcomes for the next sessions
+         */
+        function queueOutcome(...nextOutcomes) {
+            outcomes.push(...nextOutcomes.map(checkOutcome));
+        }
+
+        function buildCallback(payment) {
+            const callbackToken = `MOCKCB${payment.payment_id.slice(4)}`;
+            callbackTokens.set(payment.payment_id, callbackToken);
+            return { ...toResult(payment), callback_token: callbackToken };
+        }
+
+        /**
+         * Create a payment whose status follows the next scripted outcome.
+         * Resolves to { payment_id, checkout_url }; the checkout URL leads
+         * straight back to the return URL, or is null without one.
+         */
+        function createSession(payload) {
+            sessionCount++;
+            const outcome = outcomes.length > 0 ? outcomes.shift() : defaultOutcome;
+            const sequence = instanceId + String(sessionCount).padStart(6, '0');
+
+            if (outcome === 'timeout') {
+                return new Promise((resolve, reject) => {
+                    setTimeout(() => reject(new Error('Payment gateway timed out')), options.timeoutMs || 0);
+                });
+            }
+
+            const payment = {
+                payment_id: `MOCK${sequence}`,
+                status: OUTCOME_STATUS[outcome],
+                transaction_id: outcome === 'success' ? `MOCKTX${sequence}` : null,
+                reference_id: payload.reference_id || '',
+                amount: parseFloat(payload.amount).toFixed(2),
+                method: payload.payment?.method || 'fpx',
+                date: now().toISOString()
+            };
+            payments.set(payment.payment_id, payment);
+
+            if (options.onCallback && payment.status !== 'pending') {
+                setTimeout(() => options.onCallback(buildCallback(payment)), 0);
+            }
+
+            let checkoutUrl = null;
+            if (payload.redirect?.return_url) {
+                const returnUrl = new URL(payload.redirect.return_url);
+                returnUrl.searchParams.set('payment_id', payment.payment_id);
+                checkoutUrl = returnUrl.toString();
+            }
+
+            return Promise.resolve({ payment_id: payment.payment_id, checkout_url: checkoutUrl });
+        }
+
+        function getStatus(paymentId) {
+            const payment = payments.get(paymentId);
+            return payment
+                ? Promise.resolve(toResult(payment))
+                : Promise.reject(new Error('Payment not found'));
+        }
+
+        /**
+         * Only callbacks this mock sent verify; the status comes from its own record
+         */
+        function verifyCallback(fields) {
+            const payment = payments.get(fields.payment_id);
+            const isIssued = Boolean(payment) && callbackTokens.get(payment.payment_id) === fields.callback_token;
+            return Promise.resolve(isIssued ? toResult(payment) : null);
+        }
+
+        function mapMethod(internalMethod) {
+            return METHODS.includes(internalMethod) ? internalMethod : null;
+        }
+
+        return {
+            name: 'mock',
+            createSession,
+            getStatus,
+            verifyCallback,
+            mapMethod,
+            queueOutcome
+        };
+    }
+
+    return {
+        OUTCOMES,
+        createMockGateway
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockGateway;
+}
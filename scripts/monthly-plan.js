@@ -0,0 +1,84 @@
+/**
+ * Monthly payment plan for ZakatNOW
+ * Turns the annual zakat pendapatan into a monthly schedule, records what
+ * has been paid each month and reconciles the year.
+ */
+
+const MONTHLY_PAYMENTS_KEY = 'zakatMonthlyPayments';
+
+// Get the amounts paid each month of a year (index 0 is January)
+function getMonthlyPayments(year) {
+    const allPayments = JSON.parse(localStorage.getItem(MONTHLY_PAYMENTS_KEY) || '{}');
+    return allPayments[year] || new Array(12).fill(0);
+}
+
+function saveMonthlyPayment(year, monthIndex, amount) {
+    const allPayments = JSON.parse(localStorage.getItem(MONTHLY_PAYMENTS_KEY) || '{}');
+    const payments = allPayments[year] || new Array(12).fill(0);
+    payments[monthIndex] = amount;
+    allPayments[year] = payments;
+    localStorage.setItem(MONTHLY_PAYMENTS_KEY, JSON.stringify(allPayments));
+}
+
+function renderMonthlyPlan() {
+    if (!lastIncomeCalculation) {
+        return;
+    }
+
+    const { result, input } = lastIncomeCalculation;
+    const year = input.year;
+    const schedule = ZakatEngine.buildMonthlySchedule(result, input.incomeItems);
+    const reconciliation = ZakatEngine.reconcileSchedule(schedule, getMonthlyPayments(year));
+
+    const rows = reconciliation.months.map((entry, index) => `
+        <tr>
+            <td>${MONTH_NAMES[index]}</td>
+            <td>${formatRinggit(entry.due)}${entry.annualItems > 0 ? ' <span class="plan-note">(termasuk bonus)</span>' : ''}</td>
+            <td>
+                <input type="number" class="amount-input monthly-paid-input" value="${entry.paid || ''}"
+                    data-month="${index}" min="0" step="0.01" placeholder="0.00">
+            </td>
+            <td class="${entry.difference > 0.005 ? 'plan-shortfall' : 'plan-settled'}">${formatRinggit(entry.difference)}</td>
+        </tr>
+    `).join('');
+
+    let balanceLine = 'Bayaran tahunan telah selesai.';
+    if (reconciliation.shortfall > 0.005) {
+        balanceLine = `Kurang Bayar: ${formatRinggit(reconciliation.shortfall)}`;
+    } else if (reconciliation.overpayment > 0.005) {
+        balanceLine = `Lebih Bayar: ${formatRinggit(reconciliation.overpayment)}`;
+    }
+
+    document.getElementById('monthlyPlan').innerHTML = `
+        <h3>Pelan Bayaran Bulanan ${year}</h3>
+        <table class="plan-table">
+            <thead>
+                <tr><th>Bulan</th><th>Perlu Dibayar</th><th>Telah Dibayar</th><th>Baki</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="income-summary">
+            <p><strong>Penyelarasan Tahunan</strong></p>
+            <p>Jumlah Zakat Perlu Dibayar: ${formatRinggit(reconciliation.totalDue)}</p>
+            <p>Jumlah Telah Dibayar: ${formatRinggit(reconciliation.totalPaid)}</p>
+            <p>${balanceLine}</p>
+        </div>
+    `;
+
+    document.querySelectorAll('.monthly-paid-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            saveMonthlyPayment(year, parseInt(e.target.dataset.month), parseFloat(e.target.value) || 0);
+            renderMonthlyPlan();
+        });
+    });
+}
+
+document.getElementById('monthlyPlanButton').addEventListener('click', function() {
+    const monthlyPlan = document.getElementById('monthlyPlan');
+    const isHidden = monthlyPlan.style.display === 'none';
+
+    if (isHidden) {
+        renderMonthlyPlan();
+    }
+    monthlyPlan.style.display = isHidden ? 'block' : 'none';
+});
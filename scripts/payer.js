@@ -0,0 +1,156 @@
+/**
+ * Payer details for ZakatNOW
+ * Validates and normalises the payer's name, MyKad number, phone and email
+ * for the payment payload and the receipt. Pure functions with no DOM access,
+ * shared with the server.
+ *
+ * A MyKad number is YYMMDD-PB-###G: date of birth, place-of-birth code, a
+ * serial and a digit that is odd for men and even for women. It carries no
+ * check digit, so the date and place-of-birth code are what can be verified.
+ */
+
+const PayerDetails = (() => {
+    // Place-of-birth codes issued by JPN: states, then foreign countries
+    const BIRTH_PLACE_CODE_RANGES = [
+        [1, 16],
+        [21, 59],
+        [60, 68],
+        [71, 72],
+        [74, 79],
+        [82, 93],
+        [98, 99]
+    ];
+
+    function digitsOnly(value) {
+        return String(value || '').replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Date of birth of a 12-digit MyKad number, or null when it is not a real
+     * past date. A two-digit year later than this year belongs to the 1900s.
+     */
+    function getMyKadBirthDate(ic, today = new Date()) {
+        const yy = parseInt(ic.slice(0, 2), 10);
+        const month = parseInt(ic.slice(2, 4), 10);
+        const day = parseInt(ic.slice(4, 6), 10);
+        const year = 2000 + yy > today.getFullYear() ? 1900 + yy : 2000 + yy;
+
+        const date = new Date(year, month - 1, day);
+        const isRealDate = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        return isRealDate && date <= today ? date : null;
+    }
+
+    function isBirthPlaceCode(code) {
+        return BIRTH_PLACE_CODE_RANGES.some(([from, to]) => code >= from && code <= to);
+    }
+
+    /**
+     * Check a MyKad number; returns an error message, or null when valid
+     */
+    function validateMyKad(value, today = new Date()) {
+        const ic = digitsOnly(value);
+
+        if (!ic) {
+            return 'Sila masukkan nombor MyKad.';
+        }
+        if (!/^\d{12}$/.test(ic)) {
+            return 'Nombor MyKad mesti 12 digit, contohnya 900101-14-5678.';
+        }
+        if (!getMyKadBirthDate(ic, today)) {
+            return 'Tarikh lahir dalam nombor MyKad tidak sah.';
+        }
+        if (!isBirthPlaceCode(parseInt(ic.slice(6, 8), 10))) {
+            return 'Kod tempat lahir dalam nombor MyKad tidak sah.';
+        }
+        return null;
+    }
+
+    // 900101145678 -> 900101-14-5678
+    function formatMyKad(value) {
+        const ic = digitsOnly(value);
+        return `${ic.slice(0, 6)}-${ic.slice(6, 8)}-${ic.slice(8)}`;
+    }
+
+    /**
+     * Malaysian phone number in international form, e.g. 012-345 6789 ->
+     * +60123456789, or null when it is not a Malaysian mobile or fixed line
+     */
+    function normalisePhone(value) {
+        const phone = digitsOnly(value).replace(/^\+/, '');
+        const local = phone.startsWith('60') ? phone.slice(1) : phone;
+
+        // Mobile: 01X with 7 or 8 more digits; fixed line: 03 to 09 with 7 or 8 more
+        if (/^01\d{8,9}$/.test(local) || /^0[3-9]\d{7,8}$/.test(local)) {
+            return `+6${local}`;
+        }
+        return null;
+    }
+
+    function validatePhone(value) {
+        if (!digitsOnly(value)) {
+            return 'Sila masukkan nombor telefon.';
+        }
+        return normalisePhone(value) ? null : 'Nombor telefon Malaysia tidak sah, contohnya 012-345 6789.';
+    }
+
+    function validateEmail(value) {
+        const email = String(value || '').trim();
+        if (!email) {
+            return 'Sila masukkan alamat emel.';
+        }
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? null : 'Alamat emel tidak sah.';
+    }
+
+    function validateName(value) {
+        return String(value || '').trim() ? null : 'Sila masukkan nama pembayar.';
+    }
+
+    /**
+     * Validate payer details { name, ic, phone, email }. Returns the errors by
+     * field, and the normalised payer when there are none:
+     * { payer: { name, ic: '900101-14-5678', phone: '+60123456789', email }, errors: {} }
+     */
+    function validatePayer(details, today = new Date()) {
+        const errors = {};
+        const checks = {
+            name: validateName(details.name),
+            ic: validateMyKad(details.ic, today),
+            phone: validatePhone(details.phone),
+            email: validateEmail(details.email)
+        };
+
+        Object.entries(checks).forEach(([field, error]) => {
+            if (error) {
+                errors[field] = error;
+            }
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return { payer: null, errors };
+        }
+
+        return {
+            payer: {
+                name: String(details.name).trim(),
+                ic: formatMyKad(details.ic),
+                phone: normalisePhone(details.phone),
+                email: String(details.email).trim()
+            },
+            errors
+        };
+    }
+
+    return {
+        validateMyKad,
+        formatMyKad,
+        getMyKadBirthDate,
+        normalisePhone,
+        validatePhone,
+        validateEmail,
+        validatePayer
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayerDetails;
+}
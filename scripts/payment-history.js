@@ -0,0 +1,131 @@
+/**
+ * Payment history dashboard for ZakatNOW
+ * Lists saved payments grouped by zakat year, compares each year's payments
+ * with the zakat calculated for that year, and re-opens any receipt.
+ */
+
+const CALCULATED_ZAKAT_KEY = 'zakatCalculatedByYear';
+
+// Keep the latest zakat calculated for each year and mode: { 2025: { pendapatan: { zakat, calculatedAt } } }
+function recordCalculatedZakat(year, mode, zakat) {
+    const calculated = JSON.parse(localStorage.getItem(CALCULATED_ZAKAT_KEY) || '{}');
+    calculated[year] = {
+        ...calculated[year],
+        [mode]: { zakat, calculatedAt: new Date().toISOString() }
+    };
+    localStorage.setItem(CALCULATED_ZAKAT_KEY, JSON.stringify(calculated));
+}
+
+// Total zakat calculated for a year across all modes
+function getCalculatedZakat(year) {
+    const calculated = JSON.parse(localStorage.getItem(CALCULATED_ZAKAT_KEY) || '{}');
+    return Object.values(calculated[year] || {}).reduce((sum, entry) => sum + entry.zakat, 0);
+}
+
+// Payments made before zakat years were recorded fall back to the payment date
+function getPaymentYear(payment) {
+    return payment.zakat_year || new Date(payment.date).getFullYear();
+}
+
+function formatPaymentDate(date) {
+    return new Date(date).toLocaleDateString('ms-MY', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
+function renderMethodFilter(paymentHistory) {
+    const methodFilter = document.getElementById('historyMethodFilter');
+    const selectedMethod = methodFilter.value;
+    const methods = [...new Set(paymentHistory.map(payment => payment.method))];
+
+    methodFilter.innerHTML = '<option value="">Semua kaedah</option>' + methods.map(method => `
+        <option value="${escapeHtml(method)}" ${method === selectedMethod ? 'selected' : ''}>${escapeHtml(window.paymentService.formatPaymentMethod(method))}</option>
+    `).join('');
+}
+
+function renderYearSummary(year, yearPayments) {
+    const totalPaid = yearPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+    const calculatedZakat = getCalculatedZakat(year);
+    const balance = calculatedZakat - totalPaid;
+
+    let balanceLine = 'Tiada kiraan zakat disimpan bagi tahun ini.';
+    if (calculatedZakat > 0 && balance > 0.005) {
+        balanceLine = `<span class="plan-shortfall">Baki Tertunggak: ${formatRinggit(balance)}</span>`;
+    } else if (calculatedZakat > 0 && balance < -0.005) {
+        balanceLine = `<span class="plan-settled">Lebih Bayar: ${formatRinggit(-balance)}</span>`;
+    } else if (calculatedZakat > 0) {
+        balanceLine = '<span class="plan-settled">Zakat tahun ini telah dijelaskan.</span>';
+    }
+
+    return `
+        <div class="income-summary">
+            <p>Jumlah Dibayar: ${formatRinggit(totalPaid)}</p>
+            <p>Zakat Dikira: ${formatRinggit(calculatedZakat)}</p>
+            <p>${balanceLine}</p>
+        </div>
+    `;
+}
+
+function renderPaymentHistory() {
+    const historyList = document.getElementById('paymentHistoryList');
+    const paymentHistory = getPaymentHistory();
+    renderMethodFilter(paymentHistory);
+
+    if (paymentHistory.length === 0) {
+        historyList.innerHTML = '<p class="mode-description">Tiada pembayaran direkodkan lagi.</p>';
+        return;
+    }
+
+    const methodFilter = document.getElementById('historyMethodFilter').value;
+    const years = [...new Set(paymentHistory.map(getPaymentYear))].sort((a, b) => b - a);
+
+    historyList.innerHTML = years.map(year => {
+        // The balance counts every payment for the year; the filter only narrows the list
+        const yearPayments = paymentHistory.filter(payment => getPaymentYear(payment) === year);
+        const rows = yearPayments
+            .map(payment => ({ payment, index: paymentHistory.indexOf(payment) }))
+            .filter(({ payment }) => !methodFilter || payment.method === methodFilter)
+            .sort((a, b) => new Date(b.payment.date) - new Date(a.payment.date))
+            .map(({ payment, index }) => `
+                <tr>
+                    <td>${formatPaymentDate(payment.date)}</td>
+                    <td>${formatRinggit(parseFloat(payment.amount) || 0)}</td>
+                    <td>${escapeHtml(window.paymentService.formatPaymentMethod(payment.method))}</td>
+                    <td>${escapeHtml(getTransactionId(payment) || 'N/A')}</td>
+                    <td><button type="button" class="add-account-button view-receipt-btn" data-index="${index}">Resit</button></td>
+                </tr>
+            `).join('');
+
+        return `
+            <h4>Tahun ${year}</h4>
+            <table class="plan-table">
+                <thead>
+                    <tr><th>Tarikh</th><th>Jumlah</th><th>Kaedah</th><th>ID Transaksi</th><th></th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5">Tiada pembayaran dengan kaedah ini.</td></tr>'}</tbody>
+            </table>
+            ${renderYearSummary(year, yearPayments)}
+        `;
+    }).join('');
+
+    document.querySelectorAll('.view-receipt-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            window.paymentService.showPaymentReceipt(getPaymentHistory()[e.target.dataset.index]);
+            document.getElementById('paymentModal').style.display = 'block';
+        });
+    });
+}
+
+document.getElementById('paymentHistoryButton').addEventListener('click', function() {
+    const paymentHistoryPanel = document.getElementById('paymentHistoryPanel');
+    const isHidden = paymentHistoryPanel.style.display === 'none';
+
+    if (isHidden) {
+        renderPaymentHistory();
+    }
+    paymentHistoryPanel.style.display = isHidden ? 'block' : 'none';
+});
+
+document.getElementById('historyMethodFilter').addEventListener('change', renderPaymentHistory);
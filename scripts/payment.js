@@ -1,32 +1,71 @@
 /**
- * SecurePay.my API integration for ZakatNOW
- * Handles payment processing for zakat payments
- * Based on https://docs.securepay.my/api
+ * Payment integration for ZakatNOW
+ * Handles payment processing for zakat payments. Payment sessions and status
+ * checks go through the ZakatNOW server (server/server.js), which holds the
+ * gateway credentials. Payment stays off until the server's payment API
+ * answers; without it the page says payment is unavailable. Test mode, where a
+ * scripted MockGateway stands in for the server so the flow behaves the same
+ * on every run, is only used when the page is opened with ?test_mode=1.
  */
 
-class SecurePayService {
-    constructor(apiKey, merchantId) {
-        this.apiKey = apiKey;
-        this.merchantId = merchantId;
-        this.apiEndpoint = 'https://api.securepay.my'; // Base API URL
-        this.isTestMode = true; // Set to false in production
+// localStorage key of the completed payments list
+const PAYMENT_HISTORY_KEY = 'zakatPaymentHistory';
+
+// localStorage key of payments made in test mode, which moved no money
+const TEST_PAYMENT_HISTORY_KEY = 'zakatTestPaymentHistory';
+
+function getPaymentHistory() {
+    return JSON.parse(localStorage.getItem(PAYMENT_HISTORY_KEY) || '[]');
+}
+
+// Gateway results carry the transaction ID as transaction_id or id
+function getTransactionId(payment) {
+    return payment.transaction_id || payment.id;
+}
+
+// localStorage key of the payment started but not yet settled, kept across the gateway redirect
+const PENDING_PAYMENT_KEY = 'zakatPendingPayment';
+
+// A pending payment is given up after this long, matching the server's session reuse window
+const PENDING_PAYMENT_TTL_MS = 30 * 60 * 1000;
+
+// Payer detail fields and the ids of their inputs in the payment form
+const PAYER_FIELDS = {
+    name: 'payerName',
+    ic: 'payerIc',
+    phone: 'payerPhone',
+    email: 'payerEmail'
+};
+
+class PaymentService {
+    constructor(apiEndpoint, testGateway = null) {
+        this.apiEndpoint = apiEndpoint; // Payment API of the ZakatNOW server
+        this.testGateway = testGateway; // Given only in test mode, e.g. MockGateway.createMockGateway()
+        this.isTestMode = Boolean(testGateway);
+        this.serverStatus = 'checking'; // 'available' or 'unavailable' once detectPaymentServer has run
+        this.setPaymentContext();
+    }
+
+    /**
+     * Set the description, reference prefix, zakat year, state and calculation
+     * summary (lines of text for the receipt) used for the next payment, e.g.
+     * { type: 'fitrah', description: 'Pembayaran Zakat Fitrah', referencePrefix: 'FITRAH-', year: 2025, state: '12', summary: [...] }
+     */
+    setPaymentContext(context = {}) {
+        this.paymentContext = {
+            type: context.type || 'zakat',
+            description: context.description || 'Pembayaran Zakat',
+            referencePrefix: context.referencePrefix || 'ZAKAT-',
+            year: context.year || new Date().getFullYear(),
+            state: context.state || '',
+            summary: context.summary || []
+        };
     }
 
     /**
      * Initialize the payment form
      */
     initializePayment() {
-        console.log('Initializing SecurePay.my integration');
-        
-        // Load SecurePay.my JS SDK if needed
-        if (!document.getElementById('securepay-js')) {
-            const script = document.createElement('script');
-            script.id = 'securepay-js';
-            script.src = 'https://js.securepay.my/v1/securepay.js';
-            script.async = true;
-            document.body.appendChild(script);
-        }
-        
         // Add event listener to payment form submission
         document.getElementById('paymentForm')?.addEventListener('submit', this.handlePaymentSubmit.bind(this));
     }
@@ -40,9 +79,13 @@ class SecurePayService {
         const paymentForm = document.getElementById('paymentForm');
         const paymentAmount = document.getElementById('paymentAmount').value;
         const paymentMethod = document.querySelector('input[name="paymentMethod"]:checked')?.value;
-        const customerName = document.getElementById('customerName')?.value;
-        const customerEmail = document.getElementById('customerEmail')?.value;
-        const customerPhone = document.getElementById('customerPhone')?.value;
+        const { payer, errors } = PayerDetails.validatePayer(this.readPayerDetails());
+        
+        const unavailableMessage = this.getUnavailableMessage();
+        if (unavailableMessage) {
+            this.showPaymentMessage('error', unavailableMessage);
+            return;
+        }
         
         if (!paymentAmount || parseFloat(paymentAmount) <= 0) {
             this.showPaymentMessage('error', 'Sila masukkan jumlah pembayaran yang sah.');
@@ -54,74 +97,111 @@ class SecurePayService {
             return;
         }
         
-        if (!customerEmail) {
-            this.showPaymentMessage('error', 'Sila masukkan alamat emel.');
+        this.showPayerErrors(errors);
+        if (!payer) {
+            this.showPaymentMessage('error', 'Sila semak butiran pembayar.');
+            return;
+        }
+
+        const amount = parseFloat(paymentAmount).toFixed(2);
+        const idempotencyKey = this.createIdempotencyKey(amount);
+        const referenceId = this.createReferenceId(amount);
+        const pendingPayment = this.getPendingPayment();
+        const hasActivePayment = pendingPayment && !this.isPendingPaymentExpired(pendingPayment);
+
+        // The same calculation is already being paid: resume it instead of starting another
+        if (hasActivePayment && pendingPayment.idempotency_key === idempotencyKey) {
+            this.resumePendingPayment(pendingPayment);
+            return;
+        }
+
+        if (hasActivePayment && !confirm('Pembayaran lain masih dalam proses. Mulakan pembayaran baharu?')) {
             return;
         }
         
         // Show loading indicator
         this.showPaymentProcessing(true);
+
+        // Return to the bare page: the hash may hold a shared calculation with income figures
+        const returnBase = window.location.origin + window.location.pathname;
         
-        // Create payment payload based on SecurePay.my API requirements
+        // Create payment payload; the server's gateway adapter maps it for the gateway
         const payload = {
-            amount: parseFloat(paymentAmount).toFixed(2),
+            amount,
             currency: 'MYR',
-            reference_id: 'ZAKAT-' + Date.now(),
-            description: 'Pembayaran Zakat',
-            customer: {
-                name: customerName || 'Pembayar Zakat',
-                email: customerEmail,
-                phone: customerPhone || ''
-            },
+            reference_id: referenceId,
+            idempotency_key: idempotencyKey,
+            description: this.paymentContext.description,
+            customer: payer,
             payment: {
-                method: this.mapPaymentMethod(paymentMethod)
+                method: paymentMethod
             },
             redirect: {
-                return_url: window.location.href + '?payment_status=completed',
-                cancel_url: window.location.href + '?payment_status=cancelled'
+                return_url: returnBase + '?payment_status=completed',
+                cancel_url: returnBase + '?payment_status=cancelled'
             },
             metadata: {
-                source: 'ZakatNOW Calculator'
+                source: 'ZakatNOW Calculator',
+                zakat_type: this.paymentContext.type
             }
         };
+
+        // Kept for the receipt once the gateway confirms the payment
+        this.currentPayment = {
+            reference_id: payload.reference_id,
+            payer: payload.customer
+        };
+
+        // Saved before the redirect so the payment can be picked up again on return
+        const createdAt = new Date();
+        this.savePendingPayment({
+            idempotency_key: idempotencyKey,
+            reference_id: payload.reference_id,
+            amount,
+            method: paymentMethod,
+            payer: payload.customer,
+            context: this.paymentContext,
+            payment_id: null,
+            checkout_url: null,
+            status: 'creating',
+            created_at: createdAt.toISOString(),
+            expires_at: new Date(createdAt.getTime() + PENDING_PAYMENT_TTL_MS).toISOString()
+        });
+        this.renderPendingPaymentBanner();
         
-        // In production, this request should be made from your server to protect API keys
         if (this.isTestMode) {
-            // Simulate API call for demo purposes
-            setTimeout(() => {
-                const success = Math.random() > 0.2; // 80% success rate for demo
-                
-                if (success) {
-                    // Simulate redirect to payment gateway
-                    this.showPaymentMessage('info', 'Mengalihkan ke gateway pembayaran...');
-                    
-                    setTimeout(() => {
-                        // For demo, we'll just show success without actual redirect
-                        this.showPaymentComplete({
-                            status: 'success',
-                            transaction_id: 'SPM' + Math.floor(Math.random() * 1000000),
-                            amount: paymentAmount,
-                            method: paymentMethod,
-                            date: new Date().toISOString()
-                        });
-                    }, 1500);
-                } else {
-                    this.showPaymentMessage('error', 'Pembayaran gagal. Sila cuba lagi.');
+            // The test gateway settles the session at once, without a redirect
+            this.testGateway.createSession(payload)
+                .then(session => {
+                    this.updatePendingPayment({ payment_id: session.payment_id, status: 'pending' });
+                    return this.testGateway.getStatus(session.payment_id);
+                })
+                .then(result => this.handlePaymentResult({ success: true, ...result }))
+                .catch(error => {
+                    this.clearPendingPayment();
+                    this.showPaymentMessage('error', 'Pembayaran gagal: ' + error.message);
                     this.showPaymentProcessing(false);
-                }
-            }, 2000);
+                });
         } else {
-            // Production implementation - make actual API call to SecurePay.my
+            // Production implementation - the server creates the gateway session
             this.createPaymentSession(payload)
                 .then(response => {
                     if (response.success && response.checkout_url) {
-                        // Redirect to SecurePay.my checkout page
+                        this.updatePendingPayment({
+                            payment_id: response.payment_id,
+                            checkout_url: response.checkout_url,
+                            status: 'pending'
+                        });
+
+                        // Redirect to the gateway's checkout page
                         window.location.href = response.checkout_url;
                     } else {
                         throw new Error(response.message || 'Payment creation failed');
                     }
                 })
                 .catch(error => {
+                    // The server reuses the session for the same key, so a retry cannot duplicate it
+                    this.clearPendingPayment();
                     this.showPaymentMessage('error', 'Pembayaran gagal: ' + error.message);
                     this.showPaymentProcessing(false);
                 });
@@ -129,55 +209,253 @@ class SecurePayService {
     }
 
     /**
-     * Map internal payment method codes to SecurePay.my payment methods
+     * Read the payer fields of the payment form
      */
-    mapPaymentMethod(internalMethod) {
-        const methodMapping = {
-            'fpx': 'fpx',
-            'card': 'card',
-            'wallet': 'boost', // Default to Boost for wallet, could be expanded
-            'qr': 'duitnow_qr'
+    readPayerDetails() {
+        return {
+            name: document.getElementById('payerName')?.value,
+            ic: document.getElementById('payerIc')?.value,
+            phone: document.getElementById('payerPhone')?.value,
+            email: document.getElementById('payerEmail')?.value
         };
-        
-        return methodMapping[internalMethod] || 'fpx';
     }
 
     /**
-     * Create a payment session with SecurePay.my
-     * In production, this should be done from your server to keep API keys secure
+     * Show each payer field's error under it, and clear the rest
+     */
+    showPayerErrors(errors, fields = Object.keys(PAYER_FIELDS)) {
+        fields.forEach(field => {
+            const input = document.getElementById(PAYER_FIELDS[field]);
+            const errorText = document.getElementById(`${PAYER_FIELDS[field]}Error`);
+            if (!input || !errorText) {
+                return;
+            }
+
+            input.classList.toggle('invalid', Boolean(errors[field]));
+            errorText.textContent = errors[field] || '';
+            errorText.style.display = errors[field] ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * FNV-1a hash of the payment context and amount, in base 36
+     */
+    hashCalculation(amount) {
+        const { type, year, state, summary } = this.paymentContext;
+        const source = JSON.stringify([type, year, state, summary, amount]);
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return hash.toString(36);
+    }
+
+    /**
+     * Derive a key from the payment context and amount, so paying for the same
+     * calculation again resumes the payment already under way
+     */
+    createIdempotencyKey(amount) {
+        const { type, year } = this.paymentContext;
+        return `${type}-${year}-${this.hashCalculation(amount)}`;
+    }
+
+    /**
+     * Payment reference for the gateway and the receipt, e.g. ZAKAT-2025-1K3F9QZ.
+     * It follows the idempotency key, so a retry keeps the same reference.
+     */
+    createReferenceId(amount) {
+        const { referencePrefix, year } = this.paymentContext;
+        return `${referencePrefix}${year}-${this.hashCalculation(amount).toUpperCase()}`;
+    }
+
+    /**
+     * Get the payment started but not yet settled, or null
+     */
+    getPendingPayment() {
+        return JSON.parse(localStorage.getItem(PENDING_PAYMENT_KEY) || 'null');
+    }
+
+    savePendingPayment(pendingPayment) {
+        localStorage.setItem(PENDING_PAYMENT_KEY, JSON.stringify(pendingPayment));
+    }
+
+    updatePendingPayment(changes) {
+        const pendingPayment = this.getPendingPayment();
+        if (pendingPayment) {
+            this.savePendingPayment({ ...pendingPayment, ...changes });
+        }
+    }
+
+    clearPendingPayment() {
+        localStorage.removeItem(PENDING_PAYMENT_KEY);
+    }
+
+    isPendingPaymentExpired(pendingPayment) {
+        return new Date(pendingPayment.expires_at).getTime() <= Date.now();
+    }
+
+    /**
+     * Carry on with a payment already under way: back to the gateway's checkout
+     * page if there is one, otherwise check its status
+     */
+    resumePendingPayment(pendingPayment) {
+        if (!pendingPayment.payment_id) {
+            this.showPaymentMessage('info', 'Pembayaran sedang diproses. Sila tunggu.');
+        } else if (pendingPayment.checkout_url && !this.isTestMode) {
+            this.showPaymentMessage('info', 'Menyambung pembayaran yang sedang diproses...');
+            window.location.href = pendingPayment.checkout_url;
+        } else {
+            this.checkPendingPayment();
+        }
+    }
+
+    /**
+     * Get a payment's status from the server, or from the test gateway in test mode
+     */
+    fetchPaymentStatus(paymentId) {
+        if (this.isTestMode) {
+            return this.testGateway.getStatus(paymentId).then(result => ({ success: true, ...result }));
+        }
+        return this.checkPaymentStatus(paymentId);
+    }
+
+    /**
+     * Check the status of the pending payment again
+     */
+    checkPendingPayment() {
+        const pendingPayment = this.getPendingPayment();
+        if (!pendingPayment?.payment_id) {
+            this.renderPendingPaymentBanner();
+            return;
+        }
+
+        this.fetchPaymentStatus(pendingPayment.payment_id)
+            .then(result => this.handlePaymentResult(result))
+            .catch(error => {
+                alert('Ralat semakan status pembayaran: ' + error.message);
+            });
+    }
+
+    /**
+     * On page load, show the payment still in progress. An expired one gets a
+     * last status check, so a payment settled late is still recorded, and is
+     * then dropped.
+     */
+    reconcilePendingPayment() {
+        const pendingPayment = this.getPendingPayment();
+        if (!pendingPayment || !this.isPendingPaymentExpired(pendingPayment)) {
+            this.renderPendingPaymentBanner();
+            return;
+        }
+
+        const finish = () => {
+            this.clearPendingPayment();
+            this.renderPendingPaymentBanner();
+        };
+
+        if (!pendingPayment.payment_id) {
+            finish();
+            return;
+        }
+
+        this.fetchPaymentStatus(pendingPayment.payment_id)
+            .then(result => {
+                if (result.success && result.status === 'paid') {
+                    this.handlePaymentResult(result);
+                }
+            })
+            .catch(() => {})
+            .finally(finish);
+    }
+
+    /**
+     * Show or hide the "payment in progress" banner
+     */
+    renderPendingPaymentBanner() {
+        const banner = document.getElementById('pendingPaymentBanner');
+        if (!banner) {
+            return;
+        }
+
+        const pendingPayment = this.getPendingPayment();
+        if (!pendingPayment || this.isPendingPaymentExpired(pendingPayment)) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const startedAt = new Date(pendingPayment.created_at).toLocaleTimeString('ms-MY', { hour: '2-digit', minute: '2-digit' });
+        const statusText = pendingPayment.status === 'creating'
+            ? 'Sesi pembayaran sedang dicipta.'
+            : 'Menunggu pengesahan daripada gateway pembayaran.';
+
+        document.getElementById('pendingPaymentText').textContent =
+            `Pembayaran RM ${pendingPayment.amount} (${pendingPayment.reference_id}) sedang diproses sejak ${startedAt}. ${statusText}`;
+        banner.style.display = 'block';
+    }
+
+    /**
+     * Check that the ZakatNOW server's payment API answers; payment stays off
+     * until it does. Resolves once serverStatus is known. Test mode needs no server.
+     */
+    detectPaymentServer() {
+        if (this.isTestMode) {
+            this.serverStatus = 'available';
+            return Promise.resolve();
+        }
+
+        return fetch(`${this.apiEndpoint}/payments`, { method: 'GET' })
+            .then(response => response.ok ? response.json() : null)
+            .then(info => {
+                this.serverStatus = info?.success ? 'available' : 'unavailable';
+            })
+            .catch(() => {
+                this.serverStatus = 'unavailable';
+            });
+    }
+
+    /**
+     * Why a payment cannot be started now, or null when it can
+     */
+    getUnavailableMessage() {
+        if (this.serverStatus === 'checking') {
+            return 'Sedang menyemak pelayan pembayaran. Sila cuba sebentar lagi.';
+        }
+        if (this.serverStatus === 'unavailable') {
+            return 'Pembayaran dalam talian tidak tersedia kerana pelayan pembayaran tidak dapat dihubungi. Sila cuba lagi kemudian.';
+        }
+        return null;
+    }
+
+    /**
+     * Create a payment session through the server, which returns only the payment ID and checkout URL
      */
     createPaymentSession(paymentDetails) {
-        return fetch(`${this.apiEndpoint}/v1/payments`, {
+        return fetch(`${this.apiEndpoint}/payments`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`,
-                'X-Merchant-ID': this.merchantId
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify(paymentDetails)
         })
         .then(response => response.json())
-        .catch(error => {
-            console.error('Error creating payment session:', error);
+        .catch(() => {
             throw new Error('Network error when connecting to payment gateway');
         });
     }
 
     /**
-     * Check payment status with SecurePay.my API
+     * Check payment status through the server
      * This would typically be used after returning from the payment gateway
      */
     checkPaymentStatus(paymentId) {
-        return fetch(`${this.apiEndpoint}/v1/payments/${paymentId}`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'X-Merchant-ID': this.merchantId
-            }
+        return fetch(`${this.apiEndpoint}/payments/${encodeURIComponent(paymentId)}`, {
+            method: 'GET'
         })
         .then(response => response.json())
-        .catch(error => {
-            console.error('Error checking payment status:', error);
+        .catch(() => {
             throw new Error('Network error when checking payment status');
         });
     }
@@ -204,9 +482,43 @@ class SecurePayService {
     }
 
     /**
-     * Show payment success message
+     * Show payment success message and record the payment
      */
     showPaymentComplete(paymentResult) {
+        const payment = this.createPaymentRecord(paymentResult);
+        this.showPaymentReceipt(payment);
+
+        // Store payment in local history (in a real app, this would be server-side)
+        this.savePaymentToHistory(payment);
+    }
+
+    /**
+     * Combine the gateway result with what the receipt needs: payer, reference,
+     * state authority, zakat type and year, and the calculation summary
+     */
+    createPaymentRecord(paymentResult) {
+        const state = this.paymentContext.state;
+
+        return {
+            ...paymentResult,
+            ...(this.isTestMode && { test: true }),
+            reference_id: paymentResult.reference_id || this.currentPayment?.reference_id || '',
+            payer: paymentResult.payer || this.currentPayment?.payer || {},
+            description: this.paymentContext.description,
+            zakat_type: this.paymentContext.type,
+            zakat_year: this.paymentContext.year,
+            state,
+            authority: ZakatRules.AUTHORITIES[state] || '',
+            summary: this.paymentContext.summary
+        };
+    }
+
+    /**
+     * Show the success panel with a payment's details, e.g. when re-opened from history
+     */
+    showPaymentReceipt(paymentResult) {
+        this.receiptPayment = paymentResult;
+
         const processingIndicator = document.getElementById('paymentProcessing');
         const paymentForm = document.getElementById('paymentForm');
         const paymentSuccess = document.getElementById('paymentSuccess');
@@ -239,10 +551,8 @@ class SecurePayService {
                 <p><strong>Kaedah:</strong> ${this.formatPaymentMethod(paymentResult.method)}</p>
                 <p><strong>Tarikh:</strong> ${formattedDate}</p>
                 <p><strong>Status:</strong> <span style="color: green; font-weight: bold;">Berjaya</span></p>
+                ${paymentResult.test ? '<p style="color: #c62828; font-weight: bold;">UJIAN: pembayaran mod ujian, tiada wang dipindahkan.</p>' : ''}
             `;
-            
-            // Store payment in local history (in a real app, this would be server-side)
-            this.savePaymentToHistory(paymentResult);
         }
     }
 
@@ -265,15 +575,20 @@ class SecurePayService {
     }
 
     /**
-     * Save payment to local history
+     * Save payment to local history, once per transaction. Test-mode payments
+     * are kept apart, out of the history, yearly totals and tax rebate.
      */
     savePaymentToHistory(payment) {
-        let paymentHistory = JSON.parse(localStorage.getItem('zakatPaymentHistory') || '[]');
+        const historyKey = payment.test ? TEST_PAYMENT_HISTORY_KEY : PAYMENT_HISTORY_KEY;
+        const paymentHistory = JSON.parse(localStorage.getItem(historyKey) || '[]');
+        if (paymentHistory.some(saved => getTransactionId(saved) === getTransactionId(payment))) {
+            return;
+        }
         paymentHistory.push({
             ...payment,
             timestamp: new Date().getTime()
         });
-        localStorage.setItem('zakatPaymentHistory', JSON.stringify(paymentHistory));
+        localStorage.setItem(historyKey, JSON.stringify(paymentHistory));
     }
 
     /**
@@ -295,38 +610,71 @@ class SecurePayService {
     }
     
     /**
-     * Check payment status from URL parameters (after redirect back from gateway)
+     * Act on a payment status from the server or the test gateway
+     */
+    handlePaymentResult(result) {
+        const pendingPayment = this.getPendingPayment();
+        if (pendingPayment && result.success && pendingPayment.payment_id === result.payment_id) {
+            // Restore what was being paid for: the redirect reloads the page
+            this.paymentContext = pendingPayment.context;
+            this.currentPayment = { reference_id: pendingPayment.reference_id, payer: pendingPayment.payer };
+
+            if (result.status === 'pending') {
+                this.updatePendingPayment({ status: 'pending' });
+            } else {
+                this.clearPendingPayment();
+            }
+        }
+        this.renderPendingPaymentBanner();
+
+        if (result.success && result.status === 'paid') {
+            this.showPaymentComplete(result);
+            document.getElementById('paymentModal').style.display = 'block';
+            return;
+        }
+
+        this.showPaymentProcessing(false);
+        if (!result.success) {
+            this.showPaymentMessage('error', 'Pengesahan pembayaran gagal. Sila hubungi pihak pentadbir.');
+        } else if (result.status === 'pending') {
+            this.showPaymentMessage('info', 'Pembayaran belum disahkan oleh gateway. Sila semak semula sebentar lagi.');
+        } else if (result.status === 'cancelled') {
+            this.showPaymentMessage('info', 'Pembayaran dibatalkan.');
+        } else {
+            this.showPaymentMessage('error', 'Pembayaran gagal. Sila cuba lagi.');
+        }
+    }
+    
+    /**
+     * Check payment status after the gateway redirects back. The URL only says
+     * which payment to check: the server decides whether it is paid, from the
+     * gateway's verified callback, so a crafted URL cannot record a payment.
+     * Only the payment started from this browser is checked, so a link with
+     * someone else's payment ID cannot put their payment in this history.
      */
     checkPaymentStatusFromUrl() {
         const urlParams = new URLSearchParams(window.location.search);
         const paymentStatus = urlParams.get('payment_status');
-        const paymentId = urlParams.get('payment_id');
+        // Gateways name the payment ID differently on the way back
+        const paymentId = urlParams.get('payment_id') || urlParams.get('billplz[id]') || urlParams.get('billcode');
         
-        if (paymentStatus === 'completed' && paymentId) {
-            // In production, verify this status server-side
+        if (paymentId && paymentId === this.getPendingPayment()?.payment_id) {
             this.checkPaymentStatus(paymentId)
-                .then(result => {
-                    if (result.success && result.status === 'paid') {
-                        this.showPaymentComplete(result);
-                        
-                        // Clean up URL parameters
-                        const url = new URL(window.location.href);
-                        url.searchParams.delete('payment_status');
-                        url.searchParams.delete('payment_id');
-                        window.history.replaceState({}, document.title, url.toString());
-                    } else {
-                        this.showPaymentMessage('error', 'Pengesahan pembayaran gagal. Sila hubungi pihak pentadbir.');
-                    }
-                })
+                .then(result => this.handlePaymentResult(result))
                 .catch(error => {
                     this.showPaymentMessage('error', 'Ralat pengesahan: ' + error.message);
                 });
-        } else if (paymentStatus === 'cancelled') {
-            this.showPaymentMessage('info', 'Pembayaran dibatalkan.');
-            
-            // Clean up URL parameters
+        } else {
+            if (paymentStatus === 'cancelled') {
+                this.showPaymentMessage('info', 'Pembayaran dibatalkan.');
+            }
+            this.reconcilePendingPayment();
+        }
+        
+        // Clean up the gateway's URL parameters
+        if (paymentId || paymentStatus) {
             const url = new URL(window.location.href);
-            url.searchParams.delete('payment_status');
+            url.search = '';
             window.history.replaceState({}, document.title, url.toString());
         }
     }
@@ -334,17 +682,25 @@ class SecurePayService {
 
 // Initialize payment service when document is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Replace these with your actual SecurePay.my API credentials
-    const paymentService = new SecurePayService(
-        'sp_test_yourApiKey', // API key from SecurePay.my dashboard
-        'M12345678'  // Merchant ID from SecurePay.my dashboard
-    );
+    // Gateway credentials are configured on the server, never in the page.
+    // ?test_mode=1 uses the mock gateway instead of the server, and
+    // ?mock_outcome=failure (or pending, timeout) scripts its result.
+    const urlParams = new URLSearchParams(window.location.search);
+    const mockOutcome = urlParams.get('mock_outcome');
+    const testGateway = urlParams.get('test_mode') === '1'
+        ? MockGateway.createMockGateway({
+            defaultOutcome: MockGateway.OUTCOMES.includes(mockOutcome) ? mockOutcome : 'success',
+            timeoutMs: 3000
+        })
+        : null;
+    const paymentService = new PaymentService('/api', testGateway);
     
     // Make service available globally
     window.paymentService = paymentService;
     
-    // Check for returning payment flow
-    paymentService.checkPaymentStatusFromUrl();
+    // Check for returning payment flow, or a payment still in progress, once
+    // it is known whether the payment server answers
+    paymentService.detectPaymentServer().then(() => paymentService.checkPaymentStatusFromUrl());
     
     // Initialize payment service
     paymentService.initializePayment();
@@ -357,11 +713,51 @@ document.addEventListener('DOMContentLoaded', () => {
             // Pre-fill payment amount
             document.getElementById('paymentAmount').value = zakatAmount.replace(/,/g, '');
             
+            // Start from the form even if a receipt was shown last time
+            paymentService.showPaymentProcessing(false);
+            
+            // Say so at once when payment cannot be made
+            const unavailableMessage = paymentService.getUnavailableMessage();
+            if (unavailableMessage) {
+                paymentService.showPaymentMessage('error', unavailableMessage);
+            }
+            
             // Show payment modal
             document.getElementById('paymentModal').style.display = 'block';
         }
     });
     
+    // Check each payer field as it is left, once it has been filled in
+    Object.entries(PAYER_FIELDS).forEach(([field, inputId]) => {
+        document.getElementById(inputId)?.addEventListener('blur', (e) => {
+            if (e.target.value) {
+                const { errors } = PayerDetails.validatePayer(paymentService.readPayerDetails());
+                paymentService.showPayerErrors(errors, [field]);
+            }
+        });
+    });
+    
+    // Banner of a payment still in progress
+    document.getElementById('recheckPayment')?.addEventListener('click', () => {
+        paymentService.checkPendingPayment();
+    });
+    
+    document.getElementById('dismissPendingPayment')?.addEventListener('click', () => {
+        if (confirm('Abaikan pembayaran ini? Jika pembayaran telah dibuat, ia tidak akan direkodkan dalam sejarah.')) {
+            paymentService.clearPendingPayment();
+            paymentService.renderPendingPaymentBanner();
+        }
+    });
+    
+    // Receipt of the payment shown in the success panel, new or re-opened from history
+    document.getElementById('downloadReceipt')?.addEventListener('click', () => {
+        ZakatReceipt.downloadReceipt(paymentService.receiptPayment, paymentService.formatPaymentMethod(paymentService.receiptPayment.method));
+    });
+    
+    document.getElementById('printReceipt')?.addEventListener('click', () => {
+        ZakatReceipt.printReceipt(paymentService.receiptPayment, paymentService.formatPaymentMethod(paymentService.receiptPayment.method));
+    });
+    
     // Close payment modal when clicking outside or on close button
     document.getElementById('closePayment')?.addEventListener('click', () => {
         document.getElementById('paymentModal').style.display = 'none';
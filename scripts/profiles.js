@@ -0,0 +1,188 @@
+/**
+ * Named calculation profiles for ZakatNOW
+ * Saves the pendapatan form (state, income lines, deductions) under a name
+ * in localStorage. The form is also kept as the last session when it is reset
+ * or the page is left, so the reset button can bring it back.
+ */
+
+const PROFILES_KEY = 'zakatProfiles';
+const LAST_SESSION_KEY = 'zakatLastSession';
+
+// Saved profiles keyed by id: { name, savedAt, year, formState }
+function getProfiles() {
+    return JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+}
+
+function saveProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+// Snapshot the form with the year it was calculated for
+function createProfileSnapshot(name) {
+    return {
+        name,
+        savedAt: new Date().toISOString(),
+        year: getSelectedYear(),
+        formState: getIncomeFormState()
+    };
+}
+
+// Put a profile or saved session back into the form
+function applyProfileSnapshot(snapshot) {
+    const yearSelect = document.getElementById('tahun');
+    if (Array.from(yearSelect.options).some(option => parseInt(option.value) === snapshot.year)) {
+        yearSelect.value = snapshot.year;
+    }
+
+    applyIncomeFormState(snapshot.formState);
+    document.getElementById('result').style.display = 'none';
+}
+
+function renderProfileOptions(selectedId = '') {
+    const profiles = getProfiles();
+    const options = Object.entries(profiles)
+        .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+        .map(([id, profile]) => `
+            <option value="${id}" ${id === selectedId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+        `).join('');
+
+    document.getElementById('profileSelect').innerHTML = `<option value="">Profil tersimpan</option>${options}`;
+}
+
+// Get the selected profile id, telling the user when none is selected
+function getSelectedProfileId() {
+    const id = document.getElementById('profileSelect').value;
+    if (!id || !getProfiles()[id]) {
+        alert('Sila pilih profil terlebih dahulu.');
+        return null;
+    }
+    return id;
+}
+
+// Ask for a profile name; returns null when cancelled or left empty
+function promptProfileName(message, defaultName) {
+    const name = prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+}
+
+function saveCurrentProfile() {
+    const profiles = getProfiles();
+    const selectedId = document.getElementById('profileSelect').value;
+    const name = promptProfileName('Nama profil:', profiles[selectedId]?.name || '');
+    if (!name) {
+        return;
+    }
+
+    // Saving under an existing name updates that profile
+    let id = Object.keys(profiles).find(key => profiles[key].name === name);
+    if (id && !confirm(`Profil "${name}" sudah wujud. Gantikan?`)) {
+        return;
+    }
+
+    id = id || `profil-${Date.now()}`;
+    profiles[id] = createProfileSnapshot(name);
+    saveProfiles(profiles);
+    renderProfileOptions(id);
+}
+
+function loadSelectedProfile() {
+    const id = getSelectedProfileId();
+    if (id) {
+        applyProfileSnapshot(getProfiles()[id]);
+    }
+}
+
+function renameSelectedProfile() {
+    const id = getSelectedProfileId();
+    if (!id) {
+        return;
+    }
+
+    const profiles = getProfiles();
+    const name = promptProfileName('Nama baharu profil:', profiles[id].name);
+    if (!name) {
+        return;
+    }
+
+    if (Object.keys(profiles).some(key => key !== id && profiles[key].name === name)) {
+        alert(`Profil "${name}" sudah wujud.`);
+        return;
+    }
+
+    profiles[id].name = name;
+    saveProfiles(profiles);
+    renderProfileOptions(id);
+}
+
+function duplicateSelectedProfile() {
+    const id = getSelectedProfileId();
+    if (!id) {
+        return;
+    }
+
+    const profiles = getProfiles();
+    const copyId = `profil-${Date.now()}`;
+    profiles[copyId] = {
+        ...JSON.parse(JSON.stringify(profiles[id])),
+        name: `${profiles[id].name} (salinan)`,
+        savedAt: new Date().toISOString()
+    };
+    saveProfiles(profiles);
+    renderProfileOptions(copyId);
+}
+
+function deleteSelectedProfile() {
+    const id = getSelectedProfileId();
+    if (!id) {
+        return;
+    }
+
+    const profiles = getProfiles();
+    if (!confirm(`Padam profil "${profiles[id].name}"?`)) {
+        return;
+    }
+
+    delete profiles[id];
+    saveProfiles(profiles);
+    renderProfileOptions();
+}
+
+// Keep the form as the last session, unless there is nothing in it
+function saveLastSession() {
+    const snapshot = createProfileSnapshot('Sesi terakhir');
+    const { formState } = snapshot;
+    if (formState.monthlyIncome || Object.keys(formState.incomeItems).length > 0 || Object.keys(formState.items).length > 0) {
+        localStorage.setItem(LAST_SESSION_KEY, JSON.stringify(snapshot));
+    }
+}
+
+// Offer the last session when the form is reset. The form being reset then
+// becomes the last session, so a reset can itself be undone.
+// Returns true when it was restored, so the reset should not empty the form.
+function offerLastSessionRestore() {
+    const session = JSON.parse(localStorage.getItem(LAST_SESSION_KEY) || 'null');
+    saveLastSession();
+
+    if (!session || JSON.stringify(session.formState) === JSON.stringify(getIncomeFormState())) {
+        return false;
+    }
+
+    const savedAt = new Date(session.savedAt).toLocaleString('ms-MY');
+    if (!confirm(`Pulihkan sesi terakhir (${savedAt})? Pilih "Batal" untuk mengosongkan borang.`)) {
+        return false;
+    }
+
+    applyProfileSnapshot(session);
+    return true;
+}
+
+document.getElementById('saveProfile').addEventListener('click', saveCurrentProfile);
+document.getElementById('loadProfile').addEventListener('click', loadSelectedProfile);
+document.getElementById('renameProfile').addEventListener('click', renameSelectedProfile);
+document.getElementById('duplicateProfile').addEventListener('click', duplicateSelectedProfile);
+document.getElementById('deleteProfile').addEventListener('click', deleteSelectedProfile);
+
+// Leaving the page keeps the form for the next visit
+window.addEventListener('pagehide', saveLastSession);
+
+renderProfileOptions();
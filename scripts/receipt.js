@@ -0,0 +1,222 @@
+/**
+ * Zakat payment receipt for ZakatNOW
+ * Builds a standalone, printable HTML receipt from a payment history record,
+ * so a receipt can be regenerated at any time from local history. Text is
+ * escaped with the page's escapeHtml (app.js). A test-mode payment gets a
+ * receipt marked UJIAN, as no money was moved.
+ */
+
+const ZakatReceipt = (() => {
+    const MALAY_DIGITS = ['', 'satu', 'dua', 'tiga', 'empat', 'lima', 'enam', 'tujuh', 'lapan', 'sembilan'];
+
+    // Largest first; the single form is used for exactly one, e.g. "seribu"
+    const MALAY_SCALES = [
+        { value: 1e9, word: 'bilion', single: 'satu bilion' },
+        { value: 1e6, word: 'juta', single: 'sejuta' },
+        { value: 1e3, word: 'ribu', single: 'seribu' }
+    ];
+
+    /**
+     * Write 1 to 999 in Malay words
+     */
+    function belowThousandToWords(number) {
+        const words = [];
+        const hundreds = Math.floor(number / 100);
+        const rest = number % 100;
+
+        if (hundreds === 1) {
+            words.push('seratus');
+        } else if (hundreds > 1) {
+            words.push(`${MALAY_DIGITS[hundreds]} ratus`);
+        }
+
+        if (rest >= 20) {
+            words.push(`${MALAY_DIGITS[Math.floor(rest / 10)]} puluh`);
+            if (rest % 10) {
+                words.push(MALAY_DIGITS[rest % 10]);
+            }
+        } else if (rest > 11) {
+            words.push(`${MALAY_DIGITS[rest - 10]} belas`);
+        } else if (rest === 11) {
+            words.push('sebelas');
+        } else if (rest === 10) {
+            words.push('sepuluh');
+        } else if (rest > 0) {
+            words.push(MALAY_DIGITS[rest]);
+        }
+
+        return words.join(' ');
+    }
+
+    /**
+     * Write a whole number in Malay words, e.g. 1250 -> "seribu dua ratus lima puluh"
+     */
+    function numberToMalayWords(number) {
+        if (number === 0) {
+            return 'kosong';
+        }
+
+        const words = [];
+        let remaining = number;
+
+        MALAY_SCALES.forEach(scale => {
+            const count = Math.floor(remaining / scale.value);
+            if (count > 0) {
+                words.push(count === 1 ? scale.single : `${belowThousandToWords(count)} ${scale.word}`);
+                remaining %= scale.value;
+            }
+        });
+
+        if (remaining > 0) {
+            words.push(belowThousandToWords(remaining));
+        }
+
+        return words.join(' ');
+    }
+
+    /**
+     * Write a Ringgit amount in Malay words, e.g. 1250.50 ->
+     * "Seribu dua ratus lima puluh ringgit dan lima puluh sen sahaja"
+     */
+    function amountToMalayWords(amount) {
+        const totalSen = Math.round(parseFloat(amount) * 100);
+        const ringgit = Math.floor(totalSen / 100);
+        const sen = totalSen % 100;
+
+        let words = `${numberToMalayWords(ringgit)} ringgit`;
+        if (sen > 0) {
+            words = ringgit > 0
+                ? `${words} dan ${numberToMalayWords(sen)} sen`
+                : `${numberToMalayWords(sen)} sen`;
+        }
+
+        return `${words.charAt(0).toUpperCase()}${words.slice(1)} sahaja`;
+    }
+
+    function formatAmount(amount) {
+        return `RM ${parseFloat(amount).toLocaleString('en-MY', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+    }
+
+    function formatDate(date) {
+        return new Date(date).toLocaleDateString('ms-MY', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Build the full receipt document for a payment history record.
+     * methodLabel is the display name of the payment method.
+     */
+    function buildReceiptHtml(payment, methodLabel = payment.method) {
+        const payer = payment.payer || {};
+        const transactionId = payment.transaction_id || payment.id || '-';
+
+        const rows = [
+            ['Nama Pembayar', payer.name || '-'],
+            ['No. MyKad', payer.ic || '-'],
+            ['No. Telefon', payer.phone || '-'],
+            ['E-mel', payer.email || '-'],
+            ['Dibayar Kepada', payment.authority || '-'],
+            ['Jenis Zakat', payment.description || 'Pembayaran Zakat'],
+            ['Tahun Zakat', payment.zakat_year || '-'],
+            ['No. Rujukan', payment.reference_id || '-'],
+            ['ID Transaksi', transactionId],
+            ['Kaedah Pembayaran', methodLabel || '-'],
+            ['Tarikh', formatDate(payment.date)]
+        ].map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+        const summary = (payment.summary || []).length > 0
+            ? `<h2>Ringkasan Kiraan</h2><ul>${payment.summary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+            : '';
+
+        const testNotice = payment.test
+            ? '<div class="test-notice">UJIAN: pembayaran ini dibuat dalam mod ujian. Tiada wang dipindahkan dan resit ini tidak sah untuk tuntutan rebat cukai.</div>'
+            : '';
+        const heading = payment.test ? 'Resit Pembayaran Zakat (UJIAN)' : 'Resit Pembayaran Zakat';
+
+        return `<!DOCTYPE html>
+<html lang="ms">
+<head>
+<meta charset="UTF-8">
+<title>${payment.test ? 'UJIAN - ' : ''}Resit Zakat ${escapeHtml(payment.reference_id || transactionId)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 720px; margin: 30px auto; padding: 0 20px; }
+    h1 { color: #7631f5; margin-bottom: 4px; }
+    h2 { font-size: 1.1em; margin-top: 25px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+    th { width: 35%; color: #555; font-weight: normal; }
+    .amount { margin-top: 20px; padding: 15px; background: #f3ecff; border-radius: 8px; }
+    .amount strong { font-size: 1.6em; display: block; }
+    .note { margin-top: 30px; font-size: 0.85em; color: #777; }
+    .test-notice { margin: 15px 0; padding: 12px; border: 2px dashed #c62828; color: #c62828; font-weight: bold; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <h1>${heading}</h1>
+    <div>ZakatNOW</div>
+    ${testNotice}
+    <table>${rows}</table>
+    <div class="amount">
+        <strong>${formatAmount(payment.amount)}</strong>
+        ${escapeHtml(amountToMalayWords(payment.amount))}
+    </div>
+    ${summary}
+    <p class="note">Resit ini dijana secara elektronik oleh ZakatNOW berdasarkan rekod pembayaran.
+    Simpan resit ini bersama resit rasmi daripada pihak berkuasa zakat negeri untuk tuntutan rebat cukai.</p>
+</body>
+</html>`;
+    }
+
+    function getReceiptFilename(payment) {
+        const reference = (payment.reference_id || payment.transaction_id || payment.id || 'zakat').replace(/[^A-Za-z0-9-]/g, '');
+        return `resit-zakat-${payment.test ? 'UJIAN-' : ''}${reference}.html`;
+    }
+
+    /**
+     * Save the receipt as an HTML file
+     */
+    function downloadReceipt(payment, methodLabel) {
+        const url = URL.createObjectURL(new Blob([buildReceiptHtml(payment, methodLabel)], { type: 'text/html' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getReceiptFilename(payment);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the receipt on its own and print it (or save it as PDF from the print dialog)
+     */
+    function printReceipt(payment, methodLabel) {
+        const receiptWindow = window.open('', '_blank');
+        if (!receiptWindow) {
+            alert('Sila benarkan tetingkap timbul untuk mencetak resit.');
+            return;
+        }
+
+        receiptWindow.document.write(buildReceiptHtml(payment, methodLabel));
+        receiptWindow.document.close();
+        receiptWindow.focus();
+        receiptWindow.print();
+    }
+
+    return {
+        numberToMalayWords,
+        amountToMalayWords,
+        buildReceiptHtml,
+        downloadReceipt,
+        printReceipt
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZakatReceipt;
+}
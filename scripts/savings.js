@@ -0,0 +1,174 @@
+/**
+ * Zakat simpanan (savings) mode for ZakatNOW
+ * Collects account balances, either as a single balance held for the whole
+ * haul or as the lowest balance of each month, and shows the result in the
+ * shared result panel.
+ */
+
+// Savings accounts entered in the simpanan form
+let savingsAccounts = {};
+let savingsAccountCount = 0;
+
+function addSavingsAccount() {
+    savingsAccountCount++;
+    savingsAccounts[`akaun-${savingsAccountCount}`] = {
+        name: `Akaun ${savingsAccountCount}`,
+        method: 'balance',
+        balance: 0,
+        heldFullHaul: true,
+        monthlyBalances: new Array(ZakatEngine.HAUL_MONTHS).fill('')
+    };
+    renderSavingsAccounts();
+}
+
+function renderSavingsAccounts() {
+    const selectedAccounts = document.querySelector('.selected-accounts');
+    selectedAccounts.innerHTML = '';
+
+    for (const [key, account] of Object.entries(savingsAccounts)) {
+        const div = document.createElement('div');
+        div.className = 'savings-account';
+
+        let balanceHTML = '';
+        if (account.method === 'monthly') {
+            const monthInputs = account.monthlyBalances.map((value, index) => `
+                <label class="month-balance">
+                    <span>Bulan ${index + 1}</span>
+                    <input type="number" class="amount-input savings-month-input" value="${value}"
+                        data-item="${key}" data-month="${index}" min="0" step="100" placeholder="RM">
+                </label>
+            `).join('');
+            balanceHTML = `<div class="month-balance-grid">${monthInputs}</div>`;
+        } else {
+            balanceHTML = `
+                <div class="modern-quantity">
+                    <input type="number" class="amount-input savings-balance-input" value="${account.balance || 0}"
+                        data-item="${key}" min="0" step="100" placeholder="Baki akaun (RM)">
+                </div>
+                <label class="haul-check">
+                    <input type="checkbox" class="savings-haul-input" data-item="${key}" ${account.heldFullHaul ? 'checked' : ''}>
+                    Baki ini dimiliki cukup haul
+                </label>
+            `;
+        }
+
+        div.innerHTML = `
+            <div class="savings-account-header">
+                <input type="text" class="savings-name-input" value="${escapeHtml(account.name)}" data-item="${key}" placeholder="Nama akaun">
+                <select class="savings-method" data-item="${key}">
+                    <option value="balance" ${account.method === 'balance' ? 'selected' : ''}>Baki akaun</option>
+                    <option value="monthly" ${account.method === 'monthly' ? 'selected' : ''}>Baki terendah bulanan</option>
+                </select>
+                <button type="button" class="remove-btn remove-account-btn" data-item="${key}">×</button>
+            </div>
+            ${balanceHTML}
+        `;
+
+        selectedAccounts.appendChild(div);
+    }
+
+    addSavingsControlListeners();
+}
+
+function addSavingsControlListeners() {
+    document.querySelectorAll('.savings-name-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            savingsAccounts[e.target.dataset.item].name = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.savings-method').forEach(select => {
+        select.addEventListener('change', (e) => {
+            savingsAccounts[e.target.dataset.item].method = e.target.value;
+            renderSavingsAccounts();
+        });
+    });
+
+    document.querySelectorAll('.savings-balance-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            savingsAccounts[e.target.dataset.item].balance = parseFloat(e.target.value) || 0;
+        });
+    });
+
+    document.querySelectorAll('.savings-haul-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            savingsAccounts[e.target.dataset.item].heldFullHaul = e.target.checked;
+        });
+    });
+
+    document.querySelectorAll('.savings-month-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            const account = savingsAccounts[e.target.dataset.item];
+            account.monthlyBalances[parseInt(e.target.dataset.month)] = e.target.value;
+        });
+    });
+
+    document.querySelectorAll('.remove-account-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            delete savingsAccounts[e.target.dataset.item];
+            renderSavingsAccounts();
+        });
+    });
+}
+
+// Collect the simpanan form as plain input for ZakatEngine.calculateSavingsZakat
+function collectSavingsInput() {
+    return {
+        state: document.getElementById('negeri').value,
+        year: getSelectedYear(),
+        accounts: Object.values(savingsAccounts).map(account => ({
+            name: account.name,
+            balance: account.method === 'balance' ? account.balance : undefined,
+            heldFullHaul: account.heldFullHaul,
+            monthlyBalances: account.method === 'monthly' ? account.monthlyBalances : undefined
+        }))
+    };
+}
+
+function showSavingsResult(result) {
+    const accountLines = result.accounts.map(account => {
+        const haulNote = account.method === 'monthly'
+            ? `baki terendah ${account.monthsRecorded}/${ZakatEngine.HAUL_MONTHS} bulan`
+            : 'baki akaun';
+        const status = account.haulMet ? '' : ' (belum cukup haul)';
+        return `${escapeHtml(account.name)}: ${formatRinggit(account.lowestBalance)} — ${haulNote}${status}`;
+    }).join('<br>');
+
+    showZakatResult(`
+        ${accountLines}<br>
+        Jumlah Simpanan Layak Zakat: ${formatRinggit(result.totalZakatable)}<br>
+        ${formatNisabLines(result.nisabInfo)}<br>
+        Cukup Haul: ${result.haulMet ? 'Ya' : 'Tidak'}<br>
+        Cukup Nisab: ${result.nisabMet ? 'Ya' : 'Tidak'}
+    `, result.zakat);
+}
+
+document.getElementById('addSavingsAccount').addEventListener('click', addSavingsAccount);
+
+document.getElementById('savingsForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (!validateSharedSettings()) {
+        return;
+    }
+
+    if (Object.keys(savingsAccounts).length === 0) {
+        alert('Sila tambah sekurang-kurangnya satu akaun simpanan.');
+        return;
+    }
+
+    const input = collectSavingsInput();
+
+    resolveGoldPrice()
+        .then(goldPrice => {
+            showSavingsResult(ZakatEngine.calculateSavingsZakat({ ...input, goldPrice }));
+        })
+        .catch(error => {
+            alert(error.message);
+        });
+});
+
+document.getElementById('savingsForm').addEventListener('reset', function() {
+    document.getElementById('result').style.display = 'none';
+    savingsAccounts = {};
+    renderSavingsAccounts();
+});
@@ -0,0 +1,168 @@
+/**
+ * Shareable links for ZakatNOW
+ * Encodes the pendapatan form into the URL hash as versioned, compact JSON
+ * (base64url), and rebuilds the form and result when such a link is opened.
+ * Links look like index.html#v1.<payload>; older versions keep a decoder.
+ */
+
+const SHARE_VERSION = 1;
+
+// Bit flags for the form toggles
+const SHARE_TOGGLES = {
+    additionalIncome: 1,
+    deductions: 2
+};
+
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// Shrink a form snapshot to arrays of values; empty fields are left out
+function encodeShareState(formState) {
+    const compact = {
+        y: getSelectedYear(),
+        s: formState.state,
+        m: parseFloat(formState.monthlyIncome) || 0,
+        t: (formState.showAdditionalIncome ? SHARE_TOGGLES.additionalIncome : 0) |
+            (formState.showDeductions ? SHARE_TOGGLES.deductions : 0)
+    };
+
+    const incomeLines = Object.values(formState.incomeItems)
+        .map(item => [item.type, parseFloat(item.amount) || 0, item.frequency, item.month, item.label || '']);
+    if (incomeLines.length > 0) {
+        compact.i = incomeLines;
+    }
+
+    const deductionLines = Object.values(formState.items)
+        .map(item => [item.type, item.quantity || 1, item.category || '', parseFloat(item.amount) || 0, item.base || '']);
+    if (deductionLines.length > 0) {
+        compact.d = deductionLines;
+    }
+
+    const manualDeductions = formState.manualDeductions.filter(value => parseFloat(value) > 0);
+    if (manualDeductions.length > 0) {
+        compact.x = manualDeductions;
+    }
+
+    const nisabMode = document.getElementById('nisabMode').value;
+    if (nisabMode !== 'state') {
+        compact.n = [nisabMode, document.getElementById('goldPriceSource').value,
+            parseFloat(document.getElementById('goldPricePerGram').value) || 0];
+    }
+
+    return `v${SHARE_VERSION}.${toBase64Url(JSON.stringify(compact))}`;
+}
+
+function decodeShareStateV1(compact) {
+    const incomeItems = {};
+    (compact.i || []).forEach(([type, amount, frequency, month, label], index) => {
+        incomeItems[`${type}-${index + 1}`] = { type, amount, frequency, month, label };
+    });
+
+    const items = {};
+    (compact.d || []).forEach(([type, quantity, category, amount, base], index) => {
+        // Only anak may appear more than once
+        const key = type === 'anak' ? `anak-${index + 1}` : type;
+        items[key] = { type, quantity, amount };
+        if (category) {
+            items[key].category = category;
+        }
+        if (base) {
+            items[key].base = base;
+        }
+    });
+
+    return {
+        year: compact.y,
+        nisab: compact.n ? { mode: compact.n[0], source: compact.n[1], pricePerGram: compact.n[2] } : null,
+        formState: {
+            state: compact.s || '',
+            monthlyIncome: compact.m ? String(compact.m) : '',
+            showAdditionalIncome: Boolean(compact.t & SHARE_TOGGLES.additionalIncome),
+            incomeItems,
+            showDeductions: Boolean(compact.t & SHARE_TOGGLES.deductions),
+            items,
+            manualDeductions: compact.x || []
+        }
+    };
+}
+
+// Decoders for every link version ever issued
+const SHARE_DECODERS = {
+    1: decodeShareStateV1
+};
+
+const SHARE_HASH_PATTERN = /^#?v(\d+)\.([A-Za-z0-9_-]+)$/;
+
+// Read a hash such as "#v1.eyJ5Ijo..."; returns null when it is not a share
+// link, or is one that cannot be read
+function decodeShareHash(hash) {
+    const match = SHARE_HASH_PATTERN.exec(hash);
+    if (!match || !SHARE_DECODERS[match[1]]) {
+        return null;
+    }
+
+    try {
+        return SHARE_DECODERS[match[1]](JSON.parse(fromBase64Url(match[2])));
+    } catch (error) {
+        return null;
+    }
+}
+
+function buildShareUrl() {
+    return `${window.location.origin}${window.location.pathname}#${encodeShareState(getIncomeFormState())}`;
+}
+
+function copyShareLink() {
+    const shareUrl = buildShareUrl();
+
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(shareUrl)
+            .then(() => alert('Pautan telah disalin.'))
+            .catch(() => prompt('Salin pautan ini:', shareUrl));
+    } else {
+        prompt('Salin pautan ini:', shareUrl);
+    }
+}
+
+// Fill the form from a share link and show its result
+function loadShareLink() {
+    const shared = decodeShareHash(window.location.hash);
+    if (!shared) {
+        if (SHARE_HASH_PATTERN.test(window.location.hash)) {
+            alert('Pautan kiraan ini tidak sah atau telah rosak.');
+        }
+        return;
+    }
+
+    switchMode('pendapatan');
+
+    const yearSelect = document.getElementById('tahun');
+    if (Array.from(yearSelect.options).some(option => parseInt(option.value) === shared.year)) {
+        yearSelect.value = shared.year;
+    }
+
+    if (shared.nisab) {
+        document.getElementById('nisabMode').value = shared.nisab.mode;
+        document.getElementById('goldPriceSource').value = shared.nisab.source;
+        document.getElementById('goldPricePerGram').value = shared.nisab.pricePerGram || '';
+        document.getElementById('nisabMode').dispatchEvent(new Event('change'));
+        document.getElementById('goldPriceSource').dispatchEvent(new Event('change'));
+    }
+
+    applyIncomeFormState(shared.formState);
+    document.getElementById('zakatForm').requestSubmit();
+}
+
+document.getElementById('shareLinkButton').addEventListener('click', copyShareLink);
+window.addEventListener('hashchange', loadShareLink);
+
+// Wait for the scripts after this one, which the calculation uses, before opening a link
+document.addEventListener('DOMContentLoaded', loadShareLink);
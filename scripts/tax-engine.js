@@ -0,0 +1,121 @@
+/**
+ * Income tax rebate estimator for ZakatNOW
+ * Pure functions with no DOM access. Estimates resident income tax from the
+ * annualised income of a zakat pendapatan calculation and applies zakat paid
+ * as a rebate, which can never exceed the tax payable.
+ */
+
+const TaxEngine = (() => {
+    const Rules = typeof TaxRules !== 'undefined' ? TaxRules : require('./tax-rules.js');
+
+    /**
+     * Work out tax on chargeable income by applying each bracket to its slice
+     */
+    function calculateBracketTax(chargeableIncome, brackets) {
+        let tax = 0;
+        let lowerBound = 0;
+
+        for (const [upTo, rate] of brackets) {
+            const upperBound = upTo === null ? Infinity : upTo;
+            if (chargeableIncome > lowerBound) {
+                tax += (Math.min(chargeableIncome, upperBound) - lowerBound) * rate;
+            }
+            lowerBound = upperBound;
+        }
+
+        return tax;
+    }
+
+    /**
+     * Turn the deduction lines of a calculateZakat result into tax reliefs.
+     * Deduction types without a matching relief are left out.
+     */
+    function mapReliefs(deductions, taxRules) {
+        const totals = {};
+
+        deductions.forEach(line => {
+            const relief = taxRules.reliefs[line.type];
+            if (!relief) {
+                return;
+            }
+
+            let amount = line.amount;
+            if (relief.perUnit !== undefined) {
+                amount = relief.perUnit * line.quantity;
+            } else if (relief.perUnitByCategory) {
+                amount = (relief.perUnitByCategory[line.category] || 0) * line.quantity;
+            }
+
+            totals[line.type] = (totals[line.type] || 0) + amount;
+        });
+
+        return Object.entries(totals).map(([type, amount]) => {
+            const cap = taxRules.reliefs[type].cap;
+            return {
+                type,
+                label: taxRules.reliefs[type].label,
+                amount: cap !== null && cap !== undefined ? Math.min(amount, cap) : amount
+            };
+        });
+    }
+
+    /**
+     * Estimate income tax with and without the zakat rebate
+     *
+     * input = {
+     *     year: 2025,
+     *     income: { annual, ... },   // from ZakatEngine.annualiseIncome
+     *     deductions: [...],         // deduction lines from ZakatEngine.calculateZakat
+     *     zakatPaid: 1500
+     * }
+     */
+    function estimateTax(input) {
+        const taxRules = Rules.getTaxRules(input.year);
+        if (!taxRules) {
+            throw new Error('Tiada kadar cukai bagi tahun yang dipilih.');
+        }
+
+        const reliefs = [
+            { type: 'diri', label: 'Pelepasan individu', amount: taxRules.individualRelief },
+            ...mapReliefs(input.deductions || [], taxRules)
+        ];
+        const totalReliefs = reliefs.reduce((sum, relief) => sum + relief.amount, 0);
+        const chargeableIncome = Math.max(0, input.income.annual - totalReliefs);
+
+        const taxBeforeRebates = calculateBracketTax(chargeableIncome, taxRules.brackets);
+        const individualRebate = chargeableIncome <= taxRules.individualRebate.maxChargeable
+            ? Math.min(taxRules.individualRebate.amount, taxBeforeRebates)
+            : 0;
+        const taxPayable = taxBeforeRebates - individualRebate;
+
+        // The zakat rebate is limited to the tax payable
+        const zakatPaid = Math.max(0, parseFloat(input.zakatPaid) || 0);
+        const zakatRebate = Math.min(zakatPaid, taxPayable);
+
+        return {
+            taxYear: taxRules.year,
+            source: taxRules.source,
+            gross: input.income.annual,
+            reliefs,
+            totalReliefs,
+            chargeableIncome,
+            taxBeforeRebates,
+            individualRebate,
+            taxPayable,
+            zakatPaid,
+            zakatRebate,
+            unusedZakat: zakatPaid - zakatRebate,
+            netTax: taxPayable - zakatRebate
+        };
+    }
+
+    return {
+        calculateBracketTax,
+        mapReliefs,
+        estimateTax
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxEngine;
+}
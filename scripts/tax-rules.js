@@ -0,0 +1,93 @@
+/**
+ * Income tax rules for ZakatNOW
+ * Resident individual tax brackets, reliefs and rebates published by LHDN
+ * for each year of assessment. Used only to estimate the zakat rebate.
+ * Brackets are [upTo, rate] pairs over successive slices of chargeable
+ * income; the last bracket has upTo null. Reliefs map the calculator's
+ * deduction types to tax reliefs, each with an annual cap (null for none).
+ * Yearly updates only need a new entry in TAX_YEARS.
+ */
+
+const TaxRules = (() => {
+    // Resident brackets, unchanged since year of assessment 2023
+    const RESIDENT_BRACKETS = [
+        [5000, 0],
+        [20000, 0.01],
+        [35000, 0.03],
+        [50000, 0.06],
+        [70000, 0.11],
+        [100000, 0.19],
+        [400000, 0.25],
+        [600000, 0.26],
+        [2000000, 0.28],
+        [null, 0.30]
+    ];
+
+    const TAX_YEARS = {
+        2024: {
+            year: 2024,
+            source: 'LHDN, kadar cukai pendapatan individu pemastautin tahun taksiran 2024',
+            brackets: RESIDENT_BRACKETS,
+            // Individual rebate for chargeable income up to maxChargeable
+            individualRebate: { maxChargeable: 35000, amount: 400 },
+            individualRelief: 9000,
+            reliefs: {
+                isteri: { label: 'Pelepasan isteri', perUnit: 4000, cap: null },
+                anak: {
+                    label: 'Pelepasan anak',
+                    perUnitByCategory: {
+                        'tidak-ipt': 2000,
+                        'ipt': 8000,
+                        'oku': 6000
+                    },
+                    cap: null
+                },
+                kwsp: { label: 'Caruman KWSP', cap: 4000 },
+                takaful: { label: 'Takaful / insurans hayat', cap: 3000 }
+            }
+        },
+        2025: {
+            year: 2025,
+            source: 'LHDN, kadar cukai pendapatan individu pemastautin tahun taksiran 2025',
+            brackets: RESIDENT_BRACKETS,
+            individualRebate: { maxChargeable: 35000, amount: 400 },
+            individualRelief: 9000,
+            reliefs: {
+                isteri: { label: 'Pelepasan isteri', perUnit: 4000, cap: null },
+                anak: {
+                    label: 'Pelepasan anak',
+                    perUnitByCategory: {
+                        'tidak-ipt': 2000,
+                        'ipt': 8000,
+                        'oku': 8000
+                    },
+                    cap: null
+                },
+                kwsp: { label: 'Caruman KWSP', cap: 4000 },
+                takaful: { label: 'Takaful / insurans hayat', cap: 3000 }
+            }
+        }
+    };
+
+    /**
+     * Get the rules for a year of assessment, falling back to the latest
+     * earlier year that has figures. Returns null when none apply.
+     */
+    function getTaxRules(year) {
+        const years = Object.keys(TAX_YEARS)
+            .map(Number)
+            .filter(taxYear => taxYear <= year)
+            .sort((a, b) => b - a);
+
+        return years.length > 0 ? TAX_YEARS[years[0]] : null;
+    }
+
+    return {
+        TAX_YEARS,
+        getTaxRules
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxRules;
+}
@@ -0,0 +1,89 @@
+/**
+ * Income tax rebate estimate for ZakatNOW
+ * Estimates the income tax on the last zakat pendapatan calculation and
+ * shows how much the zakat rebate saves, using either the zakat calculated
+ * or the zakat recorded in the payment history for the same year.
+ */
+
+// Zakat counted towards the rebate for the chosen source
+function getRebateZakat(source, year) {
+    if (source === 'history') {
+        return getPaymentHistory()
+            .filter(payment => getPaymentYear(payment) === year)
+            .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+    }
+    return lastIncomeCalculation.result.zakat;
+}
+
+function renderTaxEstimate() {
+    if (!lastIncomeCalculation) {
+        return;
+    }
+
+    const { result, input } = lastIncomeCalculation;
+    const sourceSelect = document.getElementById('taxZakatSource');
+    const source = sourceSelect ? sourceSelect.value : 'calculated';
+    const taxEstimate = document.getElementById('taxEstimate');
+
+    let estimate;
+    try {
+        estimate = TaxEngine.estimateTax({
+            year: input.year,
+            income: result.income,
+            deductions: result.deductions,
+            zakatPaid: getRebateZakat(source, input.year)
+        });
+    } catch (error) {
+        taxEstimate.innerHTML = `<p class="mode-description">${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    const reliefRows = estimate.reliefs.map(relief => `
+        <tr><td>${escapeHtml(relief.label)}</td><td>${formatRinggit(relief.amount)}</td></tr>
+    `).join('');
+
+    const unusedLine = estimate.unusedZakat > 0.005
+        ? `<p class="plan-note">Zakat melebihi cukai sebanyak ${formatRinggit(estimate.unusedZakat)} tidak boleh dituntut sebagai rebat.</p>`
+        : '';
+
+    taxEstimate.innerHTML = `
+        <h3>Anggaran Rebat Cukai Tahun Taksiran ${estimate.taxYear}</h3>
+        <div class="form-group">
+            <label for="taxZakatSource">Zakat untuk rebat:</label>
+            <select id="taxZakatSource">
+                <option value="calculated" ${source === 'calculated' ? 'selected' : ''}>Zakat dikira (kiraan ini)</option>
+                <option value="history" ${source === 'history' ? 'selected' : ''}>Zakat dibayar ${input.year} (sejarah pembayaran)</option>
+            </select>
+        </div>
+        <table class="plan-table">
+            <tbody>
+                <tr><td>Jumlah Pendapatan Tahunan</td><td>${formatRinggit(estimate.gross)}</td></tr>
+                ${reliefRows}
+                <tr><td>Pendapatan Bercukai</td><td>${formatRinggit(estimate.chargeableIncome)}</td></tr>
+                <tr><td>Cukai Mengikut Kadar</td><td>${formatRinggit(estimate.taxBeforeRebates)}</td></tr>
+                <tr><td>Rebat Individu</td><td>${formatRinggit(estimate.individualRebate)}</td></tr>
+            </tbody>
+        </table>
+        <div class="income-summary">
+            <p>Cukai Tanpa Rebat Zakat: ${formatRinggit(estimate.taxPayable)}</p>
+            <p>Rebat Zakat: ${formatRinggit(estimate.zakatRebate)} (daripada zakat ${formatRinggit(estimate.zakatPaid)})</p>
+            <p><strong>Cukai Bersih Dengan Rebat Zakat: ${formatRinggit(estimate.netTax)}</strong></p>
+            <p class="plan-settled">Penjimatan Cukai: ${formatRinggit(estimate.zakatRebate)}</p>
+            ${unusedLine}
+        </div>
+        <p class="plan-note">Anggaran sahaja berdasarkan ${escapeHtml(estimate.source)}. Pelepasan lain yang tidak
+            dimasukkan dalam kiraan zakat tidak diambil kira.</p>
+    `;
+
+    document.getElementById('taxZakatSource').addEventListener('change', renderTaxEstimate);
+}
+
+document.getElementById('taxEstimateButton').addEventListener('click', function() {
+    const taxEstimate = document.getElementById('taxEstimate');
+    const isHidden = taxEstimate.style.display === 'none';
+
+    if (isHidden) {
+        renderTaxEstimate();
+    }
+    taxEstimate.style.display = isHidden ? 'block' : 'none';
+});
@@ -0,0 +1,681 @@
+/**
+ * Zakat calculation engine for ZakatNOW
+ * Pure, DOM-free computation of zakat from plain data.
+ * Loaded as a browser script (exposes the global ZakatEngine) and
+ * requirable from Node for testing.
+ */
+
+const ZakatEngine = (() => {
+    const Rules = typeof ZakatRules !== 'undefined' ? ZakatRules : require('./zakat-rules.js');
+
+    const ZAKAT_RATE = 0.025;
+    const NISAB_GOLD_GRAMS = 85;
+    const HAUL_MONTHS = 12;
+    const NISAB_SILVER_GRAMS = 595;
+
+    /**
+     * Convert a value from a form field or stored item into a number
+     */
+    function toAmount(value) {
+        const amount = parseFloat(value);
+        return isNaN(amount) ? 0 : amount;
+    }
+
+    /**
+     * Round an amount in ringgit to the nearest sen
+     */
+    function toSen(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Find the state rules for an input, failing when no figures apply
+     */
+    function getInputRules(input) {
+        const rules = Rules.getRules(input.state, input.date || input.year || new Date());
+        if (!rules) {
+            throw new Error('Tiada kadar zakat bagi negeri dan tahun yang dipilih.');
+        }
+        return rules;
+    }
+
+    /**
+     * Work out the nisab from the state rules, or from the price of 85g
+     * of gold when a gold price is supplied
+     */
+    function resolveNisab(rules, goldPrice) {
+        if (goldPrice) {
+            return {
+                amount: NISAB_GOLD_GRAMS * goldPrice.pricePerGram,
+                basis: 'gold',
+                goldGrams: NISAB_GOLD_GRAMS,
+                pricePerGram: goldPrice.pricePerGram,
+                priceDate: goldPrice.date,
+                priceSource: goldPrice.source
+            };
+        }
+
+        return {
+            amount: rules.nisab,
+            basis: 'state',
+            stateName: rules.stateName,
+            authority: rules.authority,
+            year: rules.year
+        };
+    }
+
+    /**
+     * Get how often an income item is received: 'monthly', 'annual' or
+     * 'one-off'. Items saved without a frequency follow their type.
+     */
+    function incomeFrequency(item) {
+        if (item.frequency) {
+            return item.frequency;
+        }
+        return item.type === 'elaun' ? 'monthly' : 'annual';
+    }
+
+    /**
+     * Work out monthly and annual income from the base monthly income and
+     * the additional income items, itemising each item's annual amount
+     */
+    function annualiseIncome(monthlyIncome, incomeItems = []) {
+        const base = toAmount(monthlyIncome);
+
+        const lines = incomeItems.map(item => {
+            const frequency = incomeFrequency(item);
+            const amount = toAmount(item.amount);
+            return {
+                type: item.type,
+                label: item.label || '',
+                frequency,
+                amount,
+                annualAmount: frequency === 'monthly' ? amount * 12 : amount
+            };
+        });
+
+        const monthlyExtra = lines
+            .filter(line => line.frequency === 'monthly')
+            .reduce((sum, line) => sum + line.amount, 0);
+        const annualExtra = lines
+            .filter(line => line.frequency !== 'monthly')
+            .reduce((sum, line) => sum + line.amount, 0);
+
+        const monthly = base + monthlyExtra;
+        const annual = (monthly * 12) + annualExtra;
+
+        return { base, monthly, annual, lines };
+    }
+
+    /**
+     * Work out a single deduction item under the applicable state rules.
+     * income is the result of annualiseIncome; salary-based deductions use
+     * the base monthly income only. Returns the amount allowed together
+     * with the rule that produced it and whether the annual cap applied.
+     */
+    function assessDeduction(item, income, deductionRules = Rules.DEFAULT_DEDUCTIONS) {
+        const rule = deductionRules[item.type] || deductionRules.manual;
+        const allowedBases = [rule.base, ...(rule.bases || [])];
+        const base = allowedBases.includes(item.base) ? item.base : rule.base;
+        const quantity = item.quantity || 1;
+
+        let uncapped = 0;
+        switch (base) {
+            case 'fixed':
+                uncapped = rule.amount;
+                break;
+            case 'per-unit': {
+                const units = rule.maxUnits ? Math.min(rule.maxUnits, quantity) : quantity;
+                const unitAmount = rule.amounts
+                    ? (rule.amounts[item.category] || rule.amounts[rule.defaultCategory])
+                    : rule.amount;
+                uncapped = units * unitAmount;
+                break;
+            }
+            case 'salary-percent':
+                uncapped = income.base * 12 * rule.rate;
+                break;
+            default: {
+                const entered = quantity * toAmount(item.amount);
+                uncapped = rule.frequency === 'monthly' ? entered * 12 : entered;
+            }
+        }
+
+        const hasCap = rule.cap !== null && rule.cap !== undefined;
+        const capApplied = hasCap && uncapped > rule.cap;
+
+        return {
+            frequency: rule.frequency,
+            base,
+            uncapped,
+            cap: hasCap ? rule.cap : null,
+            capApplied,
+            amount: capApplied ? rule.cap : uncapped
+        };
+    }
+
+    /**
+     * Calculate the amount allowed for a single deduction item
+     */
+    function calculateDeduction(item, income, deductionRules) {
+        return assessDeduction(item, income, deductionRules).amount;
+    }
+
+    /**
+     * Calculate zakat pendapatan from plain input data
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025, // or date: '2025-06-30'
+     *     goldPrice: { pricePerGram: 450, date: '2025-10-01', source: '...' }, // optional
+     *     monthlyIncome: 5000,
+     *     incomeItems: [{ type: 'elaun', label: 'Elaun kereta', amount: 300, frequency: 'monthly' }],
+     *     deductions: [
+     *         { key: 'anak-1', type: 'anak', quantity: 2, category: 'ipt' },
+     *         { key: 'kwsp', type: 'kwsp', base: 'entered', amount: 550 } // monthly contribution
+     *     ],
+     *     manualDeductions: [500]
+     * }
+     */
+    function calculateZakat(input) {
+        const rules = getInputRules(input);
+        const income = annualiseIncome(input.monthlyIncome, input.incomeItems);
+        const gross = income.annual;
+
+        const deductions = (input.deductions || []).map(item => ({
+            key: item.key || item.type,
+            type: item.type,
+            category: item.category,
+            quantity: item.quantity || 1,
+            ...assessDeduction(item, income, rules.deductions)
+        }));
+
+        (input.manualDeductions || []).forEach((value, index) => {
+            if (toAmount(value) > 0) {
+                deductions.push({
+                    key: `manual-${index + 1}`,
+                    type: 'manual',
+                    quantity: 1,
+                    ...assessDeduction({ type: 'manual', amount: value }, income, rules.deductions)
+                });
+            }
+        });
+
+        const totalDeductions = deductions.reduce((sum, line) => sum + line.amount, 0);
+        const net = gross - totalDeductions;
+        const nisabInfo = resolveNisab(rules, input.goldPrice);
+        const nisab = nisabInfo.amount;
+        const isWajib = net >= nisab;
+        const zakat = isWajib ? net * ZAKAT_RATE : 0;
+
+        return {
+            state: input.state,
+            rules: {
+                stateName: rules.stateName,
+                authority: rules.authority,
+                year: rules.year,
+                effectiveFrom: rules.effectiveFrom,
+                deductions: rules.deductions
+            },
+            income,
+            gross,
+            deductions,
+            totalDeductions,
+            net,
+            nisab,
+            nisabInfo,
+            rate: ZAKAT_RATE,
+            isWajib,
+            zakat
+        };
+    }
+
+    /**
+     * Calculate zakat pendapatan for several persons in one household.
+     * Each person carries their own calculateZakat input (including state);
+     * the gold price, when given, is shared by everyone.
+     *
+     * input = {
+     *     goldPrice: { ... }, // optional
+     *     persons: [{ key: 'ahli-1', name: 'Ahmad', input: { state: '12', year: 2025, monthlyIncome: 5000, ... } }]
+     * }
+     */
+    function calculateHouseholdZakat(input) {
+        const persons = (input.persons || []).map(person => ({
+            key: person.key,
+            name: person.name,
+            result: calculateZakat({ ...person.input, goldPrice: input.goldPrice })
+        }));
+
+        const totalZakat = persons.reduce((sum, person) => sum + person.result.zakat, 0);
+
+        return {
+            persons,
+            wajibCount: persons.filter(person => person.result.isWajib).length,
+            totalGross: persons.reduce((sum, person) => sum + person.result.gross, 0),
+            totalZakat,
+            zakat: totalZakat
+        };
+    }
+
+    /**
+     * Work out the balance of one savings account that counts for zakat.
+     * Month-by-month lowest balances meet haul once a full year is recorded;
+     * a single balance meets haul when it was held for the whole year.
+     */
+    function assessSavingsAccount(account) {
+        const monthlyBalances = (account.monthlyBalances || [])
+            .filter(value => value !== '' && value !== null && value !== undefined)
+            .map(toAmount);
+
+        if (monthlyBalances.length > 0) {
+            const lowestBalance = Math.min(...monthlyBalances);
+            const haulMet = monthlyBalances.length >= HAUL_MONTHS;
+
+            return {
+                name: account.name,
+                method: 'monthly',
+                monthsRecorded: monthlyBalances.length,
+                lowestBalance,
+                haulMet,
+                zakatableBalance: haulMet ? Math.max(0, lowestBalance) : 0
+            };
+        }
+
+        const balance = toAmount(account.balance);
+        const haulMet = Boolean(account.heldFullHaul);
+
+        return {
+            name: account.name,
+            method: 'balance',
+            lowestBalance: balance,
+            haulMet,
+            zakatableBalance: haulMet ? Math.max(0, balance) : 0
+        };
+    }
+
+    /**
+     * Calculate zakat simpanan from plain input data
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025,
+     *     goldPrice: { ... }, // optional, as in calculateZakat
+     *     accounts: [
+     *         { name: 'Tabung Haji', balance: 20000, heldFullHaul: true },
+     *         { name: 'Maybank', monthlyBalances: [5000, 4800, ...] } // up to 12 months
+     *     ]
+     * }
+     */
+    function calculateSavingsZakat(input) {
+        const rules = getInputRules(input);
+        const nisabInfo = resolveNisab(rules, input.goldPrice);
+        const accounts = (input.accounts || []).map(assessSavingsAccount);
+
+        const totalZakatable = accounts.reduce((sum, account) => sum + account.zakatableBalance, 0);
+        const haulMet = accounts.some(account => account.haulMet);
+        const nisabMet = totalZakatable >= nisabInfo.amount;
+        const isWajib = haulMet && nisabMet;
+
+        return {
+            state: input.state,
+            accounts,
+            totalZakatable,
+            nisab: nisabInfo.amount,
+            nisabInfo,
+            haulMet,
+            nisabMet,
+            rate: ZAKAT_RATE,
+            isWajib,
+            zakat: isWajib ? totalZakatable * ZAKAT_RATE : 0
+        };
+    }
+
+    /**
+     * Calculate zakat emas and perak from plain input data.
+     * Weights are converted to pure metal using the purity in parts per
+     * thousand (999, 916, 750, ...). Worn gold is exempt up to the state's
+     * uruf; stored gold and all silver are zakatable once they reach the
+     * weight nisab (85g gold, 595g silver).
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025,
+     *     goldPricePerGram: 450,   // price of 999 gold
+     *     silverPricePerGram: 4.5, // price of 999 silver
+     *     items: [{ name: 'Gelang', metal: 'gold', weight: 30, purity: 916, usage: 'worn' }]
+     * }
+     */
+    function calculateGoldSilverZakat(input) {
+        const rules = getInputRules(input);
+        const goldPrice = toAmount(input.goldPricePerGram);
+        const silverPrice = toAmount(input.silverPricePerGram);
+
+        const holdings = (input.items || []).map(item => ({
+            name: item.name,
+            metal: item.metal === 'silver' ? 'silver' : 'gold',
+            usage: item.usage === 'worn' ? 'worn' : 'stored',
+            weight: toAmount(item.weight),
+            purity: toAmount(item.purity),
+            pureWeight: toAmount(item.weight) * toAmount(item.purity) / 1000
+        }));
+
+        const sumPureWeight = (metal, usage) => holdings
+            .filter(item => item.metal === metal && (!usage || item.usage === usage))
+            .reduce((sum, item) => sum + item.pureWeight, 0);
+
+        const wornGold = sumPureWeight('gold', 'worn');
+        const storedGold = sumPureWeight('gold', 'stored');
+        const wornGoldZakatable = Math.max(0, wornGold - rules.uruf);
+        const storedGoldZakatable = storedGold >= NISAB_GOLD_GRAMS ? storedGold : 0;
+        const goldZakatable = wornGoldZakatable + storedGoldZakatable;
+
+        const silver = sumPureWeight('silver');
+        const silverZakatable = silver >= NISAB_SILVER_GRAMS ? silver : 0;
+
+        const goldValue = goldZakatable * goldPrice;
+        const silverValue = silverZakatable * silverPrice;
+        const totalValue = goldValue + silverValue;
+
+        return {
+            state: input.state,
+            holdings,
+            uruf: rules.uruf,
+            stateName: rules.stateName,
+            gold: {
+                worn: wornGold,
+                stored: storedGold,
+                wornZakatable: wornGoldZakatable,
+                storedZakatable: storedGoldZakatable,
+                zakatableWeight: goldZakatable,
+                pricePerGram: goldPrice,
+                value: goldValue,
+                nisabGrams: NISAB_GOLD_GRAMS
+            },
+            silver: {
+                weight: silver,
+                zakatableWeight: silverZakatable,
+                pricePerGram: silverPrice,
+                value: silverValue,
+                nisabGrams: NISAB_SILVER_GRAMS
+            },
+            totalValue,
+            rate: ZAKAT_RATE,
+            isWajib: totalValue > 0,
+            zakat: totalValue * ZAKAT_RATE
+        };
+    }
+
+    /**
+     * Work out the value of one investment holding, from its market value
+     * or from units × price per unit
+     */
+    function valueHolding(holding) {
+        const marketValue = toAmount(holding.marketValue);
+        if (marketValue > 0) {
+            return marketValue;
+        }
+        return toAmount(holding.units) * toAmount(holding.pricePerUnit);
+    }
+
+    /**
+     * Calculate zakat on shares, ASB and unit trusts from plain input data.
+     * Nisab is tested against the whole portfolio (value plus dividends).
+     * The 'market' method then levies zakat on the value of holdings kept
+     * for a full haul plus dividends; the 'dividend' method on dividends only.
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025,
+     *     method: 'market', // optional, defaults to the state's method
+     *     goldPrice: { ... }, // optional, as in calculateZakat
+     *     holdings: [
+     *         { name: 'ASB', type: 'asb', marketValue: 50000, dividends: 2500, heldFullHaul: true },
+     *         { name: 'Maybank', type: 'saham', units: 1000, pricePerUnit: 9.8, dividends: 600, heldFullHaul: true }
+     *     ]
+     * }
+     */
+    function calculateInvestmentZakat(input) {
+        const rules = getInputRules(input);
+        const nisabInfo = resolveNisab(rules, input.goldPrice);
+        const method = input.method || rules.investmentMethod;
+
+        const holdings = (input.holdings || []).map(holding => {
+            const value = valueHolding(holding);
+            const dividends = toAmount(holding.dividends);
+            const heldFullHaul = Boolean(holding.heldFullHaul);
+            const valueCounted = method === 'market' && heldFullHaul ? value : 0;
+
+            return {
+                name: holding.name,
+                type: holding.type,
+                value,
+                dividends,
+                heldFullHaul,
+                valueCounted,
+                zakatable: valueCounted + dividends
+            };
+        });
+
+        const totalZakatable = holdings.reduce((sum, holding) => sum + holding.zakatable, 0);
+        const totalWealth = holdings.reduce((sum, holding) => sum + holding.value + holding.dividends, 0);
+        const isWajib = totalZakatable > 0 && totalWealth >= nisabInfo.amount;
+
+        holdings.forEach(holding => {
+            holding.zakat = isWajib ? holding.zakatable * ZAKAT_RATE : 0;
+        });
+
+        return {
+            state: input.state,
+            method,
+            holdings,
+            totalWealth,
+            totalZakatable,
+            nisab: nisabInfo.amount,
+            nisabInfo,
+            rate: ZAKAT_RATE,
+            isWajib,
+            zakat: isWajib ? totalZakatable * ZAKAT_RATE : 0
+        };
+    }
+
+    /**
+     * Sum the numeric values of an object such as { cash: 1000, inventory: 500 }
+     */
+    function sumValues(values = {}) {
+        return Object.values(values).reduce((sum, value) => sum + toAmount(value), 0);
+    }
+
+    /**
+     * Calculate zakat perniagaan with the working-capital method from plain
+     * input data. Nisab is tested against the whole business; a partner pays
+     * their ownership share of the business zakat.
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025,
+     *     goldPrice: { ... }, // optional, as in calculateZakat
+     *     assets: { cash: 40000, inventory: 25000, receivables: 10000, other: 0 },
+     *     liabilities: { payables: 15000, shortTermLoans: 5000, other: 0 },
+     *     adjustments: [{ label: 'Hutang lapuk', amount: -2000 }],
+     *     ownership: 'partnership', // or 'sole'
+     *     ownershipPercent: 50
+     * }
+     */
+    function calculateBusinessZakat(input) {
+        const rules = getInputRules(input);
+        const nisabInfo = resolveNisab(rules, input.goldPrice);
+
+        const totalAssets = sumValues(input.assets);
+        const totalLiabilities = sumValues(input.liabilities);
+        const workingCapital = totalAssets - totalLiabilities;
+
+        const adjustments = (input.adjustments || [])
+            .map(adjustment => ({ label: adjustment.label, amount: toAmount(adjustment.amount) }))
+            .filter(adjustment => adjustment.amount !== 0);
+        const totalAdjustments = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+        const zakatableAssets = workingCapital + totalAdjustments;
+        const isWajib = zakatableAssets > 0 && zakatableAssets >= nisabInfo.amount;
+        const businessZakat = isWajib ? zakatableAssets * ZAKAT_RATE : 0;
+
+        const ownership = input.ownership === 'partnership' ? 'partnership' : 'sole';
+        const ownershipPercent = ownership === 'partnership'
+            ? Math.min(100, Math.max(0, toAmount(input.ownershipPercent)))
+            : 100;
+
+        return {
+            state: input.state,
+            totalAssets,
+            totalLiabilities,
+            workingCapital,
+            adjustments,
+            totalAdjustments,
+            zakatableAssets,
+            nisab: nisabInfo.amount,
+            nisabInfo,
+            rate: ZAKAT_RATE,
+            isWajib,
+            businessZakat,
+            ownership,
+            ownershipPercent,
+            zakat: businessZakat * ownershipPercent / 100
+        };
+    }
+
+    /**
+     * Calculate the zakat fitrah owed by a household from plain input data.
+     * Every member counts once; a newborn counts only when born before Eid.
+     *
+     * input = {
+     *     state: '12',
+     *     year: 2025,
+     *     grade: 'tempatan',
+     *     members: [
+     *         { name: 'Ahmad', category: 'dewasa' },
+     *         { name: 'Bayi', category: 'bayi', bornBeforeEid: true }
+     *     ]
+     * }
+     */
+    function calculateFitrah(input) {
+        const rules = getInputRules(input);
+        const grade = rules.fitrah[input.grade] !== undefined ? input.grade : 'tempatan';
+        const ratePerPerson = rules.fitrah[grade];
+
+        const members = (input.members || []).map(member => {
+            const counted = member.category !== 'bayi' || Boolean(member.bornBeforeEid);
+            return {
+                name: member.name,
+                category: member.category,
+                counted,
+                amount: counted ? ratePerPerson : 0
+            };
+        });
+
+        const personCount = members.filter(member => member.counted).length;
+
+        return {
+            state: input.state,
+            stateName: rules.stateName,
+            year: rules.year,
+            grade,
+            ratePerPerson,
+            members,
+            personCount,
+            isWajib: personCount > 0,
+            zakat: personCount * ratePerPerson
+        };
+    }
+
+    /**
+     * Turn an annual zakat pendapatan result into a monthly schedule.
+     * The zakat is apportioned by each income source's share of gross income:
+     * the regular monthly income is spread evenly over 12 months, while each
+     * annual or one-off item falls in the month it is received
+     * (item.month, 1-12, defaulting to December). Each month is due in whole
+     * sen; December takes the remainder, so the months add up to the zakat.
+     */
+    function buildMonthlySchedule(result, incomeItems = []) {
+        const months = [];
+        for (let month = 1; month <= 12; month++) {
+            months.push({ month, regular: 0, annualItems: 0, due: 0 });
+        }
+
+        if (result.zakat <= 0 || result.gross <= 0) {
+            return { months, totalDue: 0 };
+        }
+
+        const zakatPerRinggit = result.zakat / result.gross;
+        const regularMonthly = result.income.monthly * zakatPerRinggit;
+
+        months.forEach(entry => {
+            entry.regular = regularMonthly;
+        });
+
+        incomeItems
+            .filter(item => incomeFrequency(item) !== 'monthly')
+            .forEach(item => {
+                const month = Math.min(12, Math.max(1, parseInt(item.month) || 12));
+                months[month - 1].annualItems += toAmount(item.amount) * zakatPerRinggit;
+            });
+
+        const totalDue = toSen(result.zakat);
+        let scheduled = 0;
+        months.forEach((entry, index) => {
+            entry.due = index < 11 ? toSen(entry.regular + entry.annualItems) : toSen(totalDue - scheduled);
+            scheduled += entry.due;
+        });
+
+        return { months, totalDue };
+    }
+
+    /**
+     * Compare a monthly schedule with the amounts paid each month
+     * (payments[0] is January). A positive balance is a shortfall,
+     * a negative balance an overpayment.
+     */
+    function reconcileSchedule(schedule, payments = []) {
+        const months = schedule.months.map((entry, index) => {
+            const paid = toAmount(payments[index]);
+            return { ...entry, paid, difference: toSen(entry.due - paid) };
+        });
+
+        const totalDue = toSen(months.reduce((sum, entry) => sum + entry.due, 0));
+        const totalPaid = toSen(months.reduce((sum, entry) => sum + entry.paid, 0));
+        const balance = toSen(totalDue - totalPaid);
+
+        return {
+            months,
+            totalDue,
+            totalPaid,
+            balance,
+            shortfall: Math.max(0, balance),
+            overpayment: Math.max(0, -balance)
+        };
+    }
+
+    return {
+        ZAKAT_RATE,
+        NISAB_GOLD_GRAMS,
+        HAUL_MONTHS,
+        NISAB_SILVER_GRAMS,
+        resolveNisab,
+        incomeFrequency,
+        assessDeduction,
+        annualiseIncome,
+        calculateDeduction,
+        calculateZakat,
+        calculateHouseholdZakat,
+        calculateSavingsZakat,
+        calculateGoldSilverZakat,
+        calculateInvestmentZakat,
+        calculateBusinessZakat,
+        calculateFitrah,
+        buildMonthlySchedule,
+        reconcileSchedule
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZakatEngine;
+}
@@ -0,0 +1,257 @@
+/**
+ * Zakat rules for ZakatNOW
+ * Nisab, uruf and deduction figures announced by each state zakat authority.
+ * Uruf is the customary weight (grams) of worn gold exempt from zakat.
+ * investmentMethod is either 'market' (market value of holdings kept for a
+ * full haul, plus dividends) or 'dividend' (dividends received only).
+ * fitrah holds the zakat fitrah rate per person for each rice grade.
+ * Each entry applies from effectiveFrom until effectiveTo (or until it is
+ * superseded when effectiveTo is null). Yearly updates only need a new
+ * entry in RULES; a state whose deductions or fitrah rates differ from the
+ * common schedule gets its own table below.
+ */
+
+const ZakatRules = (() => {
+    const STATES = {
+        '1': 'Johor',
+        '2': 'Kedah',
+        '3': 'Kelantan',
+        '4': 'Melaka',
+        '5': 'Negeri Sembilan',
+        '6': 'Pahang',
+        '7': 'Perak',
+        '8': 'Perlis',
+        '9': 'Pulau Pinang',
+        '10': 'Sabah',
+        '11': 'Sarawak',
+        '12': 'Selangor',
+        '13': 'Terengganu',
+        '14': 'WP Kuala Lumpur',
+        '15': 'WP Labuan',
+        '16': 'WP Putrajaya'
+    };
+
+    // Zakat authority that publishes each state's figures, cited as the rule source
+    const AUTHORITIES = {
+        '1': 'Majlis Agama Islam Negeri Johor (MAIJ)',
+        '2': 'Lembaga Zakat Negeri Kedah (LZNK)',
+        '3': 'Majlis Agama Islam dan Adat Istiadat Melayu Kelantan (MAIK)',
+        '4': 'Pusat Zakat Melaka (PZM)',
+        '5': 'Pusat Zakat Negeri Sembilan (PZNS)',
+        '6': 'Pusat Kutipan Zakat Pahang (PKZ)',
+        '7': 'Majlis Agama Islam dan Adat Melayu Perak (MAIPk)',
+        '8': 'Majlis Agama Islam dan Adat Istiadat Melayu Perlis (MAIPs)',
+        '9': 'Zakat Pulau Pinang (ZPP)',
+        '10': 'Pusat Zakat Sabah (PZS)',
+        '11': 'Tabung Baitulmal Sarawak (TBS)',
+        '12': 'Lembaga Zakat Selangor (LZS)',
+        '13': 'Majlis Agama Islam dan Adat Melayu Terengganu (MAIDAM)',
+        '14': 'Pusat Pungutan Zakat MAIWP (PPZ-MAIWP)',
+        '15': 'Pusat Pungutan Zakat MAIWP (PPZ-MAIWP)',
+        '16': 'Pusat Pungutan Zakat MAIWP (PPZ-MAIWP)'
+    };
+
+    // Deduction rules used by states that follow the common schedule.
+    // For each deduction type:
+    //   frequency - how an entered amount recurs ('monthly' or 'annual')
+    //   base      - how the amount is worked out:
+    //               'fixed'          the rule's amount once a year
+    //               'per-unit'       amount (or amounts[category]) per unit, up to maxUnits
+    //               'salary-percent' rate × base monthly salary × 12
+    //               'entered'        the amount the user enters, at the rule's frequency
+    //   bases     - other bases the user may choose instead
+    //   cap       - the most that may be deducted in a year, or null for no cap
+    const DEFAULT_DEDUCTIONS = {
+        diri: { frequency: 'annual', base: 'fixed', amount: 9000, cap: null },
+        isteri: { frequency: 'annual', base: 'per-unit', amount: 4000, maxUnits: 4, cap: null },
+        anak: {
+            frequency: 'annual',
+            base: 'per-unit',
+            amounts: {
+                'tidak-ipt': 2000,
+                'ipt': 8000,
+                'oku': 6000
+            },
+            defaultCategory: 'tidak-ipt',
+            cap: null
+        },
+        kwsp: { frequency: 'monthly', base: 'salary-percent', bases: ['entered'], rate: 0.11, cap: null },
+        sumbangan: { frequency: 'monthly', base: 'entered', cap: null },
+        tabunghaji: { frequency: 'monthly', base: 'entered', cap: null },
+        takaful: { frequency: 'monthly', base: 'entered', cap: null },
+        manual: { frequency: 'annual', base: 'entered', cap: null }
+    };
+
+    /**
+     * Deduction rules of a state that departs from the common schedule:
+     * each type listed replaces those parts of the common rule
+     */
+    function withDeductions(changes) {
+        const deductions = { ...DEFAULT_DEDUCTIONS };
+        Object.entries(changes).forEach(([type, rule]) => {
+            deductions[type] = { ...DEFAULT_DEDUCTIONS[type], ...rule };
+        });
+        return deductions;
+    }
+
+    // Kedah: higher child deduction for children in higher education;
+    // Tabung Haji savings and takaful are deducted up to a yearly limit
+    const KEDAH_DEDUCTIONS = withDeductions({
+        anak: { amounts: { 'tidak-ipt': 2000, 'ipt': 5000, 'oku': 5000 } },
+        tabunghaji: { cap: 2400 },
+        takaful: { cap: 3000 }
+    });
+
+    // Pulau Pinang: OKU children are deducted at the higher education rate;
+    // KWSP is deducted up to a yearly limit
+    const PULAU_PINANG_DEDUCTIONS = withDeductions({
+        anak: { amounts: { 'tidak-ipt': 2000, 'ipt': 8000, 'oku': 8000 } },
+        kwsp: { cap: 4000 }
+    });
+
+    // Wilayah Persekutuan (MAIWP): had kifayah figures for the payer and wife;
+    // KWSP and takaful are deducted up to a yearly limit
+    const MAIWP_DEDUCTIONS = withDeductions({
+        diri: { amount: 12000 },
+        isteri: { amount: 5000 },
+        kwsp: { cap: 4000 },
+        takaful: { cap: 3000 }
+    });
+
+    // Zakat fitrah rates per person by rice grade
+    const RICE_GRADES = {
+        'tempatan': 'Beras tempatan',
+        'import': 'Beras import',
+        'premium': 'Beras premium / wangi'
+    };
+
+    const DEFAULT_FITRAH = {
+        'tempatan': 7,
+        'import': 14,
+        'premium': 21
+    };
+
+    const MELAKA_FITRAH = {
+        'tempatan': 8,
+        'import': 15,
+        'premium': 22
+    };
+
+    const PERLIS_FITRAH = {
+        'tempatan': 8,
+        'import': 16,
+        'premium': 24
+    };
+
+    const SABAH_FITRAH = {
+        'tempatan': 8,
+        'import': 16,
+        'premium': 24
+    };
+
+    const RULES = [
+        { state: '1', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 28090.40, uruf: 850, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '2', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 27310.75, uruf: 170, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: KEDAH_DEDUCTIONS },
+        { state: '3', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25500, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '4', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25180, uruf: 180, investmentMethod: 'market', fitrah: MELAKA_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '5', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 23780.12, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '6', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 28090.40, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '7', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 28090.40, uruf: 500, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '8', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 28090.40, uruf: 500, investmentMethod: 'market', fitrah: PERLIS_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '9', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 26500, uruf: 165, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: PULAU_PINANG_DEDUCTIONS },
+        { state: '10', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25000, uruf: 200, investmentMethod: 'market', fitrah: SABAH_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '11', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 26246.25, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '12', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 26040, uruf: 800, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '13', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25050.50, uruf: 850, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '14', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25180, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS },
+        { state: '15', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25180, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS },
+        { state: '16', year: 2024, effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', nisab: 25180, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS },
+
+        { state: '1', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 33028.75, uruf: 850, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '2', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 32010.16, uruf: 170, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: KEDAH_DEDUCTIONS },
+        { state: '3', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29376, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '4', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29740, uruf: 180, investmentMethod: 'market', fitrah: MELAKA_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '5', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 26844.82, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '6', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 33028.75, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '7', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 33028.75, uruf: 500, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '8', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 33028.75, uruf: 500, investmentMethod: 'market', fitrah: PERLIS_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '9', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 31000, uruf: 165, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: PULAU_PINANG_DEDUCTIONS },
+        { state: '10', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29000, uruf: 200, investmentMethod: 'market', fitrah: SABAH_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '11', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 30564.75, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '12', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29961, uruf: 800, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '13', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 28840.66, uruf: 850, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: DEFAULT_DEDUCTIONS },
+        { state: '14', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29740, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS },
+        { state: '15', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29740, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS },
+        { state: '16', year: 2025, effectiveFrom: '2025-01-01', effectiveTo: null, nisab: 29740, uruf: 200, investmentMethod: 'market', fitrah: DEFAULT_FITRAH, deductions: MAIWP_DEDUCTIONS }
+    ];
+
+    /**
+     * Convert a year or date into an ISO date string (YYYY-MM-DD).
+     * A year refers to the figures in force at the end of that year.
+     */
+    function toIsoDate(when) {
+        if (typeof when === 'number') {
+            return `${when}-12-31`;
+        }
+        if (when instanceof Date) {
+            return when.toISOString().slice(0, 10);
+        }
+        return String(when).slice(0, 10);
+    }
+
+    /**
+     * Find the rules in force for a state on a given date or year.
+     * Returns null when no figures have been published for that period.
+     */
+    function getRules(state, when = new Date()) {
+        const date = toIsoDate(when);
+
+        const matches = RULES.filter(rule =>
+            rule.state === state &&
+            rule.effectiveFrom <= date &&
+            (!rule.effectiveTo || rule.effectiveTo >= date)
+        );
+
+        if (matches.length === 0) {
+            return null;
+        }
+
+        // The most recently effective entry supersedes earlier open-ended ones
+        const rule = matches.reduce((latest, current) =>
+            current.effectiveFrom > latest.effectiveFrom ? current : latest
+        );
+
+        return {
+            ...rule,
+            stateName: STATES[rule.state],
+            authority: AUTHORITIES[rule.state]
+        };
+    }
+
+    /**
+     * List the years that have figures for at least one state, newest first
+     */
+    function getAvailableYears(currentYear = new Date().getFullYear()) {
+        const firstYear = Math.min(...RULES.map(rule => parseInt(rule.effectiveFrom.slice(0, 4))));
+        const years = [];
+        for (let year = currentYear; year >= firstYear; year--) {
+            years.push(year);
+        }
+        return years;
+    }
+
+    return {
+        STATES,
+        AUTHORITIES,
+        DEFAULT_DEDUCTIONS,
+        RICE_GRADES,
+        DEFAULT_FITRAH,
+        RULES,
+        getRules,
+        getAvailableYears
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZakatRules;
+}
@@ -0,0 +1,140 @@
+/**
+ * Billplz gateway adapter for the ZakatNOW server
+ * Creates a bill in a Billplz collection; the customer picks the bank or
+ * wallet on the Billplz page. Amounts are sent and received in sen.
+ * Callbacks carry x_signature, an HMAC-SHA256 with the X Signature key over
+ * every other field as key + value, sorted by key and joined with '|'.
+ * Based on https://www.billplz.com/api
+ */
+
+const { hmacSha256Hex, safeEqual, fieldValue } = require('./signature.js');
+
+// Billplz shows its own choice of banks and wallets at checkout
+const METHODS = {
+    'fpx': 'fpx',
+    'card': 'card',
+    'wallet': 'wallet'
+};
+
+/**
+ * Compute x_signature over callback fields with the X Signature key
+ */
+function createXSignature(fields, signatureKey) {
+    const data = Object.keys(fields)
+        .filter(key => key !== 'x_signature')
+        .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+        .map(key => `${key}${fieldValue(fields[key])}`)
+        .join('|');
+
+    return hmacSha256Hex(signatureKey, data);
+}
+
+function toRinggit(sen) {
+    return (parseInt(sen, 10) / 100).toFixed(2);
+}
+
+function toIsoDate(text) {
+    const date = new Date(text);
+    return text && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function toStatus(bill) {
+    if (String(bill.paid) === 'true') {
+        return 'paid';
+    }
+    return bill.state === 'deleted' ? 'cancelled' : 'pending';
+}
+
+/**
+ * Create the Billplz adapter
+ *
+ * config = {
+ *     apiUrl: 'https://www.billplz.com/api',
+ *     apiKey: '...',
+ *     collectionId: '...',
+ *     signatureKey: '...'  // X Signature key
+ * }
+ */
+function createBillplzGateway(config) {
+    function request(method, path, fields) {
+        return fetch(`${config.apiUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': `Basic ${Buffer.from(`${config.apiKey}:`).toString('base64')}`
+            },
+            body: fields ? new URLSearchParams(fields).toString() : undefined
+        })
+            .then(response => response.json())
+            .catch(error => {
+                console.error(`Billplz ${method} ${path} failed:`, error.message);
+                throw new Error('Network error when connecting to payment gateway');
+            });
+    }
+
+    function mapMethod(internalMethod) {
+        return METHODS[internalMethod] || null;
+    }
+
+    return {
+        name: 'billplz',
+
+        createSession(payload) {
+            return request('POST', '/v3/bills', {
+                collection_id: config.collectionId,
+                email: payload.customer.email,
+                mobile: payload.customer.phone,
+                name: payload.customer.name || payload.customer.email,
+                amount: String(Math.round(parseFloat(payload.amount) * 100)),
+                callback_url: payload.redirect.callback_url,
+                redirect_url: payload.redirect.return_url,
+                description: payload.description.slice(0, 200),
+                reference_1_label: 'Rujukan',
+                reference_1: payload.reference_id
+            }).then(response => {
+                if (!response.id || !response.url) {
+                    throw new Error(response.error?.message || 'Payment creation failed');
+                }
+                return { payment_id: response.id, checkout_url: response.url };
+            });
+        },
+
+        getStatus(paymentId) {
+            return request('GET', `/v3/bills/${encodeURIComponent(paymentId)}`).then(bill => {
+                if (!bill.id) {
+                    throw new Error(bill.error?.message || 'Payment not found');
+                }
+                return {
+                    payment_id: bill.id,
+                    status: toStatus(bill),
+                    transaction_id: bill.id,
+                    reference_id: bill.reference_1,
+                    amount: toRinggit(bill.amount),
+                    method: null,
+                    date: toIsoDate(bill.paid_at)
+                };
+            });
+        },
+
+        verifyCallback(fields) {
+            if (!fields || !safeEqual(createXSignature(fields, config.signatureKey), fields.x_signature)) {
+                return Promise.resolve(null);
+            }
+
+            return Promise.resolve({
+                payment_id: fields.id,
+                // An unpaid callback is a failed attempt; the bill stays open
+                status: fields.paid === 'true' ? 'paid' : 'failed',
+                transaction_id: fields.transaction_id || fields.id,
+                reference_id: null,
+                amount: toRinggit(fields.paid_amount || fields.amount),
+                method: null,
+                date: toIsoDate(fields.paid_at)
+            });
+        },
+
+        mapMethod
+    };
+}
+
+module.exports = { createBillplzGateway, createXSignature };
@@ -0,0 +1,96 @@
+/**
+ * Payment gateway adapters for the ZakatNOW server
+ *
+ * Every adapter has the same interface:
+ *   name                    Gateway name
+ *   createSession(payload)  Create a payment; resolves to { payment_id, checkout_url }
+ *   getStatus(paymentId)    Resolves to a status result
+ *   verifyCallback(fields)  Resolves to a status result when the callback is
+ *                           genuine, or null when it cannot be verified
+ *   mapMethod(method)       Gateway code for an internal payment method
+ *                           (fpx, card, wallet, qr), or null when unsupported
+ *
+ * A status result is { payment_id, status, transaction_id, reference_id,
+ * amount, method, date }, where status is paid, pending, failed or cancelled
+ * and amount is in Ringgit with two decimals. Fields a gateway does not
+ * report are null.
+ *
+ * The payload is the one built by the server: { amount, currency,
+ * reference_id, description, customer: { name, email, phone },
+ * payment: { method }, redirect: { return_url, cancel_url, callback_url }, metadata }.
+ */
+
+const { createSecurePayGateway } = require('./securepay.js');
+const { createBillplzGateway } = require('./billplz.js');
+const { createToyyibPayGateway } = require('./toyyibpay.js');
+const MockGateway = require('../../scripts/mock-gateway.js');
+
+// Environment variables each gateway reads; required ones have no default
+const GATEWAYS = {
+    securepay: {
+        env: {
+            apiUrl: ['SECUREPAY_API_URL', 'https://api.securepay.my'],
+            apiKey: ['SECUREPAY_API_KEY'],
+            merchantId: ['SECUREPAY_MERCHANT_ID'],
+            checksumToken: ['SECUREPAY_CHECKSUM_TOKEN']
+        },
+        create: createSecurePayGateway
+    },
+    billplz: {
+        env: {
+            apiUrl: ['BILLPLZ_API_URL', 'https://www.billplz.com/api'],
+            apiKey: ['BILLPLZ_API_KEY'],
+            collectionId: ['BILLPLZ_COLLECTION_ID'],
+            signatureKey: ['BILLPLZ_X_SIGNATURE_KEY']
+        },
+        create: createBillplzGateway
+    },
+    toyyibpay: {
+        env: {
+            apiUrl: ['TOYYIBPAY_API_URL', 'https://toyyibpay.com'],
+            secretKey: ['TOYYIBPAY_SECRET_KEY'],
+            categoryCode: ['TOYYIBPAY_CATEGORY_CODE']
+        },
+        create: createToyyibPayGateway
+    },
+    mock: {
+        env: {
+            outcomes: ['MOCK_GATEWAY_OUTCOMES', ''],
+            defaultOutcome: ['MOCK_GATEWAY_DEFAULT_OUTCOME', 'success']
+        },
+        create: (config, options) => MockGateway.createMockGateway({
+            outcomes: config.outcomes ? config.outcomes.split(',').map(outcome => outcome.trim()) : [],
+            defaultOutcome: config.defaultOutcome,
+            onCallback: options.onCallback
+        })
+    }
+};
+
+/**
+ * Create the gateway named by PAYMENT_GATEWAY (default securepay) from
+ * environment variables. options.onCallback receives the mock's callbacks.
+ */
+function createGatewayFromEnv(env, options = {}) {
+    const name = env.PAYMENT_GATEWAY || 'securepay';
+    const gateway = GATEWAYS[name];
+    if (!gateway) {
+        throw new Error(`Unknown payment gateway: ${name}. Use one of ${Object.keys(GATEWAYS).join(', ')}.`);
+    }
+
+    const missing = [];
+    const config = {};
+    Object.entries(gateway.env).forEach(([key, [variable, defaultValue]]) => {
+        config[key] = env[variable] || defaultValue;
+        if (config[key] === undefined) {
+            missing.push(variable);
+        }
+    });
+
+    if (missing.length > 0) {
+        throw new Error(`${missing.join(', ')} must be set for the ${name} gateway.`);
+    }
+
+    return gateway.create(config, options);
+}
+
+module.exports = { GATEWAYS, createGatewayFromEnv };
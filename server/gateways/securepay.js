@@ -0,0 +1,108 @@
+/**
+ * SecurePay.my gateway adapter for the ZakatNOW server
+ * Runs only on the server, where the API key, merchant ID and checksum token
+ * are kept. Callbacks from the gateway carry an HMAC-SHA256 checksum over the
+ * other fields' values, sorted by field name and joined with '|'.
+ * Based on https://docs.securepay.my/api
+ */
+
+const { hmacSha256Hex, safeEqual, fieldValue } = require('./signature.js');
+
+const METHODS = {
+    'fpx': 'fpx',
+    'card': 'card',
+    'wallet': 'boost', // Default to Boost for wallet, could be expanded
+    'qr': 'duitnow_qr'
+};
+
+/**
+ * Compute the checksum of callback fields with the merchant's checksum token
+ */
+function createCallbackChecksum(fields, checksumToken) {
+    const data = Object.keys(fields)
+        .filter(key => key !== 'checksum')
+        .sort()
+        .map(key => fieldValue(fields[key]))
+        .join('|');
+
+    return hmacSha256Hex(checksumToken, data);
+}
+
+function toResult(response) {
+    return {
+        payment_id: response.payment_id,
+        status: response.status,
+        transaction_id: response.transaction_id || null,
+        reference_id: response.reference_id,
+        amount: parseFloat(response.amount).toFixed(2),
+        method: response.method,
+        date: response.date
+    };
+}
+
+/**
+ * Create the SecurePay.my adapter
+ *
+ * config = {
+ *     apiUrl: 'https://api.securepay.my',
+ *     apiKey: 'sp_live_...',
+ *     merchantId: 'M12345678',
+ *     checksumToken: '...'
+ * }
+ */
+function createSecurePayGateway(config) {
+    function request(method, path, body) {
+        return fetch(`${config.apiUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.apiKey}`,
+                'X-Merchant-ID': config.merchantId
+            },
+            body: body ? JSON.stringify(body) : undefined
+        })
+            .then(response => response.json())
+            .catch(error => {
+                console.error(`SecurePay ${method} ${path} failed:`, error.message);
+                throw new Error('Network error when connecting to payment gateway');
+            });
+    }
+
+    function mapMethod(internalMethod) {
+        return METHODS[internalMethod] || null;
+    }
+
+    return {
+        name: 'securepay',
+
+        createSession(payload) {
+            return request('POST', '/v1/payments', {
+                ...payload,
+                payment: { method: mapMethod(payload.payment.method) }
+            }).then(response => {
+                if (!response.success || !response.checkout_url) {
+                    throw new Error(response.message || 'Payment creation failed');
+                }
+                return { payment_id: response.payment_id, checkout_url: response.checkout_url };
+            });
+        },
+
+        getStatus(paymentId) {
+            return request('GET', `/v1/payments/${encodeURIComponent(paymentId)}`).then(response => {
+                if (!response.success) {
+                    throw new Error(response.message || 'Payment not found');
+                }
+                return toResult(response);
+            });
+        },
+
+        verifyCallback(fields) {
+            const isValid = Boolean(fields) && safeEqual(createCallbackChecksum(fields, config.checksumToken), fields.checksum);
+            return Promise.resolve(isValid ? toResult(fields) : null);
+        },
+
+        mapMethod
+    };
+}
+
+module.exports = { createSecurePayGateway, createCallbackChecksum };
@@ -0,0 +1,27 @@
+/**
+ * Signature helpers shared by the gateway adapters
+ */
+
+const crypto = require('crypto');
+
+function hmacSha256Hex(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest('hex');
+}
+
+// Compare a received signature with the expected one in constant time
+function safeEqual(expected, received) {
+    if (typeof received !== 'string') {
+        return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Field values as the gateways sign them: missing values become empty strings
+function fieldValue(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = { hmacSha256Hex, safeEqual, fieldValue };
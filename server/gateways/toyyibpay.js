@@ -0,0 +1,121 @@
+/**
+ * toyyibPay gateway adapter for the ZakatNOW server
+ * Creates a bill in a toyyibPay category. Amounts are sent in sen. toyyibPay
+ * callbacks are not signed, so a callback is only a prompt: the status is
+ * read back from the toyyibPay API with the secret key before it is trusted.
+ * Based on https://toyyibpay.com/apireference/
+ */
+
+// billPaymentChannel values: 0 is FPX, 1 is credit card
+const METHODS = {
+    'fpx': '0',
+    'card': '1'
+};
+
+const STATUSES = {
+    '1': 'paid',
+    '2': 'pending',
+    '3': 'failed',
+    '4': 'pending'
+};
+
+// toyyibPay reports times as DD-MM-YYYY HH:mm:ss in Malaysian time
+function toIsoDate(text) {
+    const match = /^(\d{2})-(\d{2})-(\d{4}) (\d{2}:\d{2}:\d{2})$/.exec(text || '');
+    return match ? new Date(`${match[3]}-${match[2]}-${match[1]}T${match[4]}+08:00`).toISOString() : null;
+}
+
+/**
+ * Create the toyyibPay adapter
+ *
+ * config = {
+ *     apiUrl: 'https://toyyibpay.com',
+ *     secretKey: '...',    // userSecretKey
+ *     categoryCode: '...'
+ * }
+ */
+function createToyyibPayGateway(config) {
+    function request(path, fields) {
+        return fetch(`${config.apiUrl}/index.php/api/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        })
+            .then(response => response.json())
+            .catch(error => {
+                console.error(`toyyibPay ${path} failed:`, error.message);
+                throw new Error('Network error when connecting to payment gateway');
+            });
+    }
+
+    function mapMethod(internalMethod) {
+        return METHODS[internalMethod] || null;
+    }
+
+    function getStatus(paymentId) {
+        return request('getBillTransactions', { billCode: paymentId }).then(transactions => {
+            if (!Array.isArray(transactions)) {
+                throw new Error('Payment not found');
+            }
+
+            // A bill can have several attempts; a successful one settles it
+            const transaction = transactions.find(entry => entry.billpaymentStatus === '1') ||
+                transactions[transactions.length - 1];
+            if (!transaction) {
+                return { payment_id: paymentId, status: 'pending', transaction_id: null, reference_id: null, amount: null, method: null, date: null };
+            }
+
+            return {
+                payment_id: paymentId,
+                status: STATUSES[transaction.billpaymentStatus] || 'failed',
+                transaction_id: transaction.billpaymentInvoiceNo || null,
+                reference_id: transaction.billExternalReferenceNo || null,
+                amount: parseFloat(transaction.billpaymentAmount).toFixed(2),
+                method: null,
+                date: toIsoDate(transaction.billPaymentDate)
+            };
+        });
+    }
+
+    return {
+        name: 'toyyibpay',
+
+        createSession(payload) {
+            return request('createBill', {
+                userSecretKey: config.secretKey,
+                categoryCode: config.categoryCode,
+                billName: payload.description.slice(0, 30),
+                billDescription: payload.description.slice(0, 100),
+                billPriceSetting: '1',
+                billPayorInfo: '1',
+                billAmount: String(Math.round(parseFloat(payload.amount) * 100)),
+                billReturnUrl: payload.redirect.return_url,
+                billCallbackUrl: payload.redirect.callback_url,
+                billExternalReferenceNo: payload.reference_id,
+                billTo: payload.customer.name || payload.customer.email,
+                billEmail: payload.customer.email,
+                billPhone: payload.customer.phone,
+                billPaymentChannel: mapMethod(payload.payment.method)
+            }).then(response => {
+                const billCode = Array.isArray(response) ? response[0]?.BillCode : null;
+                if (!billCode) {
+                    throw new Error(response?.msg || 'Payment creation failed');
+                }
+                return { payment_id: billCode, checkout_url: `${config.apiUrl}/${billCode}` };
+            });
+        },
+
+        getStatus,
+
+        verifyCallback(fields) {
+            if (!fields || !fields.billcode) {
+                return Promise.resolve(null);
+            }
+            return getStatus(fields.billcode).catch(() => null);
+        },
+
+        mapMethod
+    };
+}
+
+module.exports = { createToyyibPayGateway };
@@ -0,0 +1,219 @@
+/**
+ * Local stand-in for the SecurePay.my API
+ * Creates payments, serves a checkout page where the payment can be paid or
+ * cancelled, sends the signed callback the real gateway sends, and reports
+ * payment status, so the whole payment flow can be tested offline. Payments
+ * are kept in memory only.
+ *
+ * Usage:
+ *   node server/mock-securepay.js
+ *   SECUREPAY_API_URL=http://localhost:4000 SECUREPAY_API_KEY=sp_test_mock \
+ *     SECUREPAY_MERCHANT_ID=M12345678 SECUREPAY_CHECKSUM_TOKEN=mock_checksum_token \
+ *     node server/server.js
+ *
+ * Environment:
+ *   MOCK_SECUREPAY_PORT            Port to listen on (default 4000)
+ *   MOCK_SECUREPAY_API_KEY         API key the mock accepts (default sp_test_mock)
+ *   MOCK_SECUREPAY_CHECKSUM_TOKEN  Token callbacks are signed with (default mock_checksum_token)
+ */
+
+const http = require('http');
+const { createCallbackChecksum } = require('./gateways/securepay.js');
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Add the payment ID to the page the customer returns to
+function buildRedirectUrl(url, paymentId) {
+    const redirectUrl = new URL(url);
+    redirectUrl.searchParams.set('payment_id', paymentId);
+    return redirectUrl.toString();
+}
+
+function renderCheckoutPage(payment) {
+    return `<!DOCTYPE html>
+<html lang="ms">
+<head><meta charset="UTF-8"><title>Mock SecurePay</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto;">
+    <h1>Mock SecurePay</h1>
+    <p>${escapeHtml(payment.description)}</p>
+    <p><strong>RM ${escapeHtml(payment.amount)}</strong> (${escapeHtml(payment.method)})</p>
+    <p>Rujukan: ${escapeHtml(payment.reference_id)}</p>
+    <form method="post" action="/checkout/${payment.id}/pay"><button type="submit">Bayar</button></form>
+    <form method="post" action="/checkout/${payment.id}/cancel"><button type="submit">Batal</button></form>
+</body>
+</html>`;
+}
+
+/**
+ * Create the mock server. Options: { apiKey, checksumToken, baseUrl }, where
+ * baseUrl is the address the mock is reachable at, used for checkout URLs.
+ */
+function createMockServer(options = {}) {
+    const apiKey = options.apiKey || 'sp_test_mock';
+    const checksumToken = options.checksumToken || 'mock_checksum_token';
+    const payments = new Map();
+    let paymentCount = 0;
+
+    function isAuthorised(req) {
+        return req.headers.authorization === `Bearer ${apiKey}` && Boolean(req.headers['x-merchant-id']);
+    }
+
+    function handleCreate(req, res) {
+        readBody(req).then(body => {
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                sendJson(res, 400, { success: false, message: 'Invalid JSON body' });
+                return;
+            }
+
+            if (!(parseFloat(payload.amount) > 0) || !payload.redirect?.return_url) {
+                sendJson(res, 422, { success: false, message: 'Amount and return URL are required' });
+                return;
+            }
+
+            paymentCount++;
+            const payment = {
+                id: `PAY${String(paymentCount).padStart(6, '0')}`,
+                status: 'pending',
+                amount: parseFloat(payload.amount).toFixed(2),
+                method: payload.payment?.method || 'fpx',
+                reference_id: payload.reference_id || '',
+                description: payload.description || '',
+                redirect: payload.redirect,
+                created_at: new Date().toISOString()
+            };
+            payments.set(payment.id, payment);
+
+            const baseUrl = options.baseUrl || `http://${req.headers.host}`;
+            sendJson(res, 201, {
+                success: true,
+                payment_id: payment.id,
+                checkout_url: `${baseUrl}/checkout/${payment.id}`
+            });
+        });
+    }
+
+    function handleStatus(res, payment) {
+        sendJson(res, 200, {
+            success: true,
+            payment_id: payment.id,
+            status: payment.status,
+            transaction_id: payment.transaction_id || null,
+            reference_id: payment.reference_id,
+            amount: payment.amount,
+            method: payment.method,
+            date: payment.paid_at || payment.created_at
+        });
+    }
+
+    // Post the signed result to the merchant's callback URL, as the gateway does
+    function sendCallback(payment) {
+        if (!payment.redirect.callback_url) {
+            return Promise.resolve();
+        }
+
+        const fields = {
+            payment_id: payment.id,
+            reference_id: payment.reference_id,
+            status: payment.status,
+            amount: payment.amount,
+            method: payment.method,
+            transaction_id: payment.transaction_id || '',
+            date: payment.paid_at || new Date().toISOString()
+        };
+        fields.checksum = createCallbackChecksum(fields, checksumToken);
+
+        return fetch(payment.redirect.callback_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        }).catch(error => {
+            console.error(`Callback for ${payment.id} failed:`, error.message);
+        });
+    }
+
+    function handleCheckoutAction(res, payment, action) {
+        const isPending = payment.status === 'pending';
+        if (isPending) {
+            if (action === 'pay') {
+                payment.status = 'paid';
+                payment.transaction_id = `SPM${payment.id.slice(3)}`;
+                payment.paid_at = new Date().toISOString();
+            } else {
+                payment.status = 'cancelled';
+            }
+        }
+
+        // The callback is sent before the customer is redirected back
+        (isPending ? sendCallback(payment) : Promise.resolve()).then(() => {
+            const target = payment.status === 'paid' ? payment.redirect.return_url : payment.redirect.cancel_url;
+            res.writeHead(303, { Location: buildRedirectUrl(target, payment.id) });
+            res.end();
+        });
+    }
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const statusMatch = pathname.match(/^\/v1\/payments\/([\w-]+)$/);
+        const checkoutMatch = pathname.match(/^\/checkout\/([\w-]+)(?:\/(pay|cancel))?$/);
+
+        if (pathname.startsWith('/v1/') && !isAuthorised(req)) {
+            sendJson(res, 401, { success: false, message: 'Invalid API key or merchant ID' });
+        } else if (pathname === '/v1/payments' && req.method === 'POST') {
+            handleCreate(req, res);
+        } else if (statusMatch && req.method === 'GET') {
+            const payment = payments.get(statusMatch[1]);
+            if (payment) {
+                handleStatus(res, payment);
+            } else {
+                sendJson(res, 404, { success: false, message: 'Payment not found' });
+            }
+        } else if (checkoutMatch && payments.has(checkoutMatch[1])) {
+            const payment = payments.get(checkoutMatch[1]);
+            if (checkoutMatch[2] && req.method === 'POST') {
+                handleCheckoutAction(res, payment, checkoutMatch[2]);
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(renderCheckoutPage(payment));
+            }
+        } else {
+            sendJson(res, 404, { success: false, message: 'Not found' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_SECUREPAY_PORT, 10) || 4000;
+    createMockServer({
+        apiKey: process.env.MOCK_SECUREPAY_API_KEY,
+        checksumToken: process.env.MOCK_SECUREPAY_CHECKSUM_TOKEN
+    }).listen(port, () => {
+        console.log(`Mock SecurePay running at http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockServer };
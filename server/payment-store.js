@@ -0,0 +1,48 @@
+/**
+ * Payment records for the ZakatNOW server
+ * Keeps every payment session the server created and the status reported by
+ * the gateway's verified callback. Records live in memory and, when a file
+ * path is given, are also written to a JSON file so they survive restarts.
+ */
+
+const fs = require('fs');
+
+/**
+ * Create a payment store, optionally backed by a JSON file
+ */
+function createPaymentStore(filePath) {
+    const payments = new Map();
+
+    if (filePath && fs.existsSync(filePath)) {
+        Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))).forEach(([id, payment]) => {
+            payments.set(id, payment);
+        });
+    }
+
+    function save() {
+        if (filePath) {
+            fs.writeFileSync(filePath, JSON.stringify(Object.fromEntries(payments), null, 2));
+        }
+    }
+
+    return {
+        get(paymentId) {
+            return payments.get(paymentId) || null;
+        },
+
+        /**
+         * Find the first payment matching a test, or null
+         */
+        find(predicate) {
+            return [...payments.values()].find(predicate) || null;
+        },
+
+        set(paymentId, payment) {
+            payments.set(paymentId, payment);
+            save();
+            return payment;
+        }
+    };
+}
+
+module.exports = { createPaymentStore };
@@ -0,0 +1,356 @@
+/**
+ * ZakatNOW server
+ * Serves the calculator and proxies payments to the payment gateway so its
+ * credentials never reach the browser. A payment only counts as paid once the
+ * gateway's verified callback says so; the browser asks this server for the
+ * status instead of trusting its own URL. Uses only Node's standard library.
+ *
+ * Usage:
+ *   PAYMENT_GATEWAY=securepay SECUREPAY_API_KEY=sp_live_... SECUREPAY_MERCHANT_ID=M12345678 \
+ *     SECUREPAY_CHECKSUM_TOKEN=... node server/server.js
+ *
+ * Environment:
+ *   PORT                Port to listen on (default 3000)
+ *   PAYMENT_GATEWAY     securepay, billplz, toyyibpay or mock (default securepay);
+ *                       see server/gateways/index.js for each gateway's settings
+ *   PUBLIC_URL          Address the gateway reaches this server at, for
+ *                       callbacks (default http://localhost:PORT)
+ *   PAYMENT_STORE_FILE  JSON file to keep payment records in (default memory only)
+ *   GOLD_PRICE_URL      Gold price service relayed at /api/gold-price, answering
+ *                       in the shape of data/gold-price.json (default none)
+ *   GOLD_PRICE_FILE     Gold price file served at /api/gold-price when no
+ *                       service is set (default data/gold-price.json)
+ *
+ * Use PAYMENT_GATEWAY=mock, or point SECUREPAY_API_URL at
+ * server/mock-securepay.js, to test the flow offline.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createGatewayFromEnv } = require('./gateways/index.js');
+const { createPaymentStore } = require('./payment-store.js');
+const PayerDetails = require('../scripts/payer.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_GOLD_PRICE_FILE = path.join(ROOT_DIR, 'data', 'gold-price.json');
+const MAX_BODY_BYTES = 10 * 1024;
+
+// A repeated request with the same idempotency key gets the same session back within this window
+const SESSION_REUSE_MS = 30 * 60 * 1000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+// Read a JSON or form-encoded request body into an object
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                if ((req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+                    resolve(Object.fromEntries(new URLSearchParams(body)));
+                } else {
+                    resolve(JSON.parse(body || '{}'));
+                }
+            } catch (error) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the payment request from the browser and keep only the fields the
+ * gateway needs. Returns an error message, or the payload to send and the
+ * request's idempotency key (null without a valid one).
+ */
+function buildPaymentPayload(body, callbackUrl, gateway) {
+    const amount = parseFloat(body.amount);
+    const { payer, errors } = PayerDetails.validatePayer(body.customer || {});
+
+    if (!(amount > 0)) {
+        return { error: 'Invalid payment amount' };
+    }
+    if (!payer) {
+        // The messages are the page's own, so they can be shown to the payer as they are
+        return { error: Object.values(errors)[0] };
+    }
+    if (!gateway.mapMethod(body.payment?.method)) {
+        return { error: 'Unsupported payment method' };
+    }
+    if (!body.redirect?.return_url || !body.redirect?.cancel_url) {
+        return { error: 'Return and cancel URLs are required' };
+    }
+
+    return {
+        idempotencyKey: /^[\w-]{1,80}$/.test(body.idempotency_key || '') ? body.idempotency_key : null,
+        payload: {
+            amount: amount.toFixed(2),
+            currency: 'MYR',
+            reference_id: String(body.reference_id || ''),
+            description: String(body.description || 'Pembayaran Zakat'),
+            customer: payer,
+            payment: { method: body.payment.method },
+            redirect: {
+                return_url: String(body.redirect.return_url),
+                cancel_url: String(body.redirect.cancel_url),
+                callback_url: callbackUrl
+            },
+            metadata: body.metadata || {}
+        }
+    };
+}
+
+function handleCreatePayment(req, res, gateway, store, publicUrl) {
+    const callbackUrl = `${publicUrl || `http://${req.headers.host}`}/api/payments/callback`;
+
+    readBody(req)
+        .then(body => {
+            const { payload, idempotencyKey, error } = buildPaymentPayload(body, callbackUrl, gateway);
+            if (error) {
+                sendJson(res, 400, { success: false, message: error });
+                return null;
+            }
+
+            // A double submit or a retry resumes the session already created
+            const existing = idempotencyKey && store.find(payment =>
+                payment.idempotency_key === idempotencyKey &&
+                payment.status === 'pending' &&
+                Date.now() - new Date(payment.created_at).getTime() < SESSION_REUSE_MS);
+            if (existing) {
+                sendJson(res, 200, { success: true, payment_id: existing.payment_id, checkout_url: existing.checkout_url });
+                return null;
+            }
+
+            return gateway.createSession(payload).then(session => {
+                store.set(session.payment_id, {
+                    payment_id: session.payment_id,
+                    gateway: gateway.name,
+                    idempotency_key: idempotencyKey,
+                    checkout_url: session.checkout_url,
+                    reference_id: payload.reference_id,
+                    amount: payload.amount,
+                    method: payload.payment.method,
+                    status: 'pending',
+                    created_at: new Date().toISOString()
+                });
+
+                // Only the payment ID and checkout URL go back to the browser
+                sendJson(res, 200, { success: true, payment_id: session.payment_id, checkout_url: session.checkout_url });
+            });
+        })
+        .catch(error => {
+            sendJson(res, 502, { success: false, message: error.message });
+        });
+}
+
+/**
+ * Record the status from a gateway callback once the gateway adapter has
+ * verified it. A paid payment stays paid, and the amount must match the
+ * session created.
+ */
+function handlePaymentCallback(req, res, gateway, store) {
+    readBody(req)
+        .then(fields => gateway.verifyCallback(fields).then(result => {
+            if (!result) {
+                console.warn(`Rejected unverified ${gateway.name} payment callback`);
+                sendJson(res, 401, { success: false, message: 'Invalid signature' });
+                return;
+            }
+
+            const payment = store.get(result.payment_id);
+            if (!payment) {
+                sendJson(res, 404, { success: false, message: 'Payment not found' });
+                return;
+            }
+            if (result.amount !== payment.amount) {
+                sendJson(res, 400, { success: false, message: 'Amount does not match payment' });
+                return;
+            }
+
+            if (payment.status !== 'paid') {
+                store.set(payment.payment_id, {
+                    ...payment,
+                    status: result.status,
+                    transaction_id: result.transaction_id || null,
+                    method: result.method || payment.method,
+                    date: result.date || new Date().toISOString(),
+                    verified_at: new Date().toISOString()
+                });
+            }
+            sendJson(res, 200, { success: true });
+        }))
+        .catch(error => {
+            sendJson(res, 400, { success: false, message: error.message });
+        });
+}
+
+// Report the status recorded from verified callbacks; nothing else marks a payment paid
+function handlePaymentStatus(res, paymentId, store) {
+    const payment = store.get(paymentId);
+    if (!payment) {
+        sendJson(res, 404, { success: false, message: 'Payment not found' });
+        return;
+    }
+
+    sendJson(res, 200, {
+        success: true,
+        payment_id: payment.payment_id,
+        status: payment.status,
+        transaction_id: payment.transaction_id || null,
+        reference_id: payment.reference_id,
+        amount: payment.amount,
+        method: payment.method,
+        date: payment.date || payment.created_at
+    });
+}
+
+/**
+ * Report the gold price in the shape of data/gold-price.json, from the price
+ * service at goldPriceUrl when one is set, otherwise from goldPriceFile
+ */
+function handleGoldPrice(res, options) {
+    const reading = options.goldPriceUrl
+        ? fetch(options.goldPriceUrl, { headers: { 'Accept': 'application/json' } }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Gold price service answered ${response.status}`);
+            }
+            return response.json();
+        })
+        : fs.promises.readFile(options.goldPriceFile || DEFAULT_GOLD_PRICE_FILE, 'utf8').then(JSON.parse);
+
+    reading
+        .then(data => {
+            const pricePerGram = parseFloat(data.price_per_gram);
+            if (!(pricePerGram > 0)) {
+                throw new Error('Invalid gold price');
+            }
+            sendJson(res, 200, {
+                price_per_gram: pricePerGram,
+                date: data.date || new Date().toISOString().slice(0, 10),
+                source: data.source || options.goldPriceUrl || 'ZakatNOW'
+            });
+        })
+        .catch(error => {
+            sendJson(res, 502, { success: false, message: error.message });
+        });
+}
+
+// Serve the calculator's files; the server code and dotfiles stay private
+function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const filePath = path.normalize(path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname));
+    const relativePath = path.relative(ROOT_DIR, filePath);
+
+    if (relativePath.startsWith('..') || relativePath.split(path.sep).some(part => part.startsWith('.')) ||
+        relativePath.split(path.sep)[0] === 'server') {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Create the HTTP server with a gateway adapter (see server/gateways/index.js)
+ * and a payment store. Options: { publicUrl } for the callback address, and
+ * { goldPriceUrl, goldPriceFile } for where the gold price comes from.
+ */
+function createServer(gateway, store = createPaymentStore(), options = {}) {
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const statusMatch = pathname.match(/^\/api\/payments\/([\w-]+)$/);
+
+        if (pathname === '/api/payments' && req.method === 'GET') {
+            // The page only takes payments once this answers
+            sendJson(res, 200, { success: true, gateway: gateway.name });
+        } else if (pathname === '/api/payments' && req.method === 'POST') {
+            handleCreatePayment(req, res, gateway, store, options.publicUrl);
+        } else if (pathname === '/api/payments/callback' && req.method === 'POST') {
+            handlePaymentCallback(req, res, gateway, store);
+        } else if (statusMatch && req.method === 'GET') {
+            handlePaymentStatus(res, statusMatch[1], store);
+        } else if (pathname === '/api/gold-price' && req.method === 'GET') {
+            handleGoldPrice(res, options);
+        } else if (pathname.startsWith('/api/')) {
+            sendJson(res, 404, { success: false, message: 'Not found' });
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res);
+        } else {
+            res.writeHead(405);
+            res.end('Method not allowed');
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 3000;
+    const publicUrl = process.env.PUBLIC_URL || `http://localhost:${port}`;
+
+    let gateway;
+    try {
+        gateway = createGatewayFromEnv(process.env, {
+            // The mock gateway delivers its callbacks like a real gateway would
+            onCallback: fields => fetch(`${publicUrl}/api/payments/callback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
+            }).catch(error => console.error('Mock gateway callback failed:', error.message))
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    const store = createPaymentStore(process.env.PAYMENT_STORE_FILE);
+
+    createServer(gateway, store, {
+        publicUrl,
+        goldPriceUrl: process.env.GOLD_PRICE_URL,
+        goldPriceFile: process.env.GOLD_PRICE_FILE
+    }).listen(port, () => {
+        console.log(`ZakatNOW server running at http://localhost:${port} with the ${gateway.name} gateway`);
+    });
+}
+
+module.exports = { createServer, buildPaymentPayload };
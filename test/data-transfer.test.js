@@ -0,0 +1,118 @@
+/**
+ * Tests for exporting and importing profiles and payment history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page.js');
+
+const PAYMENT = {
+    transaction_id: 'SPM000001',
+    payment_id: 'PAY000001',
+    reference_id: 'ZAKAT-2025-ABC123',
+    amount: '150.00',
+    method: 'fpx',
+    status: 'paid',
+    date: '2025-03-01T10:00:00.000Z',
+    description: 'Pembayaran Zakat, "Pendapatan"\nAli'
+};
+
+const PROFILE = {
+    name: 'Gaji, 2025',
+    savedAt: '2025-02-01T08:00:00.000Z',
+    year: 2025,
+    formState: { state: '12', monthlyIncome: '5000', incomeItems: {}, items: {}, manualDeductions: [] }
+};
+
+const STORAGE = {
+    zakatPaymentHistory: [PAYMENT],
+    zakatProfiles: { 'profil-1': PROFILE }
+};
+
+// Export from a page, keeping the file instead of downloading it
+async function exportFrom(storage, format) {
+    const page = await openPage('index.html', { storage });
+    let file = null;
+    page.window.downloadFile = (filename, content) => {
+        file = { filename, content };
+    };
+    page.window.eval(format === 'csv' ? 'exportCsv()' : 'exportJson()');
+    page.window.close();
+    return file;
+}
+
+function readStorage(window, key) {
+    return JSON.parse(window.localStorage.getItem(key));
+}
+
+test('a JSON export imports into an empty browser', async () => {
+    const file = await exportFrom(STORAGE, 'json');
+    assert.match(file.filename, /^zakatnow-data-\d{4}-\d{2}-\d{2}\.json$/);
+
+    const page = await openPage();
+    const summary = page.window.mergeImportData(JSON.parse(file.content));
+
+    assert.deepEqual({ ...summary }, { payments: 1, profiles: 1, duplicates: 0, invalid: 0 });
+    assert.deepEqual(readStorage(page.window, 'zakatPaymentHistory'), [PAYMENT]);
+    assert.deepEqual(readStorage(page.window, 'zakatProfiles'), { 'profil-1': PROFILE });
+    page.window.close();
+});
+
+test('a CSV export reads back to the same records, quotes and line breaks included', async () => {
+    const file = await exportFrom(STORAGE, 'csv');
+    const lines = file.content.split('\r\n');
+    assert.equal(lines[0], 'record_type,id,name,date,amount,method,status,year,state,details');
+
+    const page = await openPage();
+    const data = page.window.csvToImportData(file.content);
+    assert.deepEqual(JSON.parse(JSON.stringify(data.paymentHistory)), [PAYMENT]);
+    assert.deepEqual(JSON.parse(JSON.stringify(data.profiles)), { 'profil-1': PROFILE });
+    page.window.close();
+});
+
+test('importing again adds nothing and counts duplicates', async () => {
+    const file = await exportFrom(STORAGE, 'json');
+    const page = await openPage('index.html', { storage: STORAGE });
+    const summary = page.window.mergeImportData(JSON.parse(file.content));
+
+    assert.deepEqual({ ...summary }, { payments: 0, profiles: 0, duplicates: 2, invalid: 0 });
+    assert.equal(readStorage(page.window, 'zakatPaymentHistory').length, 1);
+    assert.equal(Object.keys(readStorage(page.window, 'zakatProfiles')).length, 1);
+    page.window.close();
+});
+
+test('a different profile under a local id and name is kept alongside it', async () => {
+    const page = await openPage('index.html', { storage: STORAGE });
+    const imported = { ...PROFILE, savedAt: '2025-04-01T08:00:00.000Z' };
+    const summary = page.window.mergeImportData({ format: 'zakatnow-data', version: 1, profiles: { 'profil-1': imported } });
+
+    const profiles = readStorage(page.window, 'zakatProfiles');
+    assert.equal(summary.profiles, 1);
+    assert.deepEqual(Object.values(profiles).map(profile => profile.name).sort(), ['Gaji, 2025', 'Gaji, 2025 (diimport)']);
+    page.window.close();
+});
+
+test('payments that are not paid, made in test mode, or lack an ID, amount or date, are not imported', async () => {
+    const page = await openPage();
+    const paymentHistory = [
+        { ...PAYMENT, transaction_id: 'A', status: undefined },
+        { ...PAYMENT, transaction_id: 'B', status: 'failed' },
+        { ...PAYMENT, transaction_id: '' },
+        { ...PAYMENT, transaction_id: 'C', amount: '0' },
+        { ...PAYMENT, transaction_id: 'D', date: 'semalam' },
+        { ...PAYMENT, transaction_id: 'E', test: true }
+    ];
+    const summary = page.window.mergeImportData({ format: 'zakatnow-data', version: 1, paymentHistory });
+
+    assert.equal(summary.invalid, 6);
+    assert.deepEqual(readStorage(page.window, 'zakatPaymentHistory'), []);
+    page.window.close();
+});
+
+test('a file from another program or a newer version is refused', async () => {
+    const page = await openPage();
+    assert.throws(() => page.window.mergeImportData({ format: 'lain', version: 1 }), /bukan fail eksport ZakatNOW/);
+    assert.throws(() => page.window.mergeImportData({ format: 'zakatnow-data', version: 2 }), /bukan fail eksport ZakatNOW/);
+    assert.throws(() => page.window.csvToImportData('a,b\n1,2'), /lajur yang dijangka/);
+    page.window.close();
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests that each mode's fields only update that mode's data, although the
+ * modes share classes for their styling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, setValue } = require('./helpers/page.js');
+
+function check(document, selector) {
+    const checkbox = document.querySelector(selector);
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+}
+
+test('amounts typed in other modes are kept while deductions are shown', async () => {
+    const { window, document, errors } = await openPage();
+    document.querySelector('.mode-tab[data-mode="simpanan"]').click();
+    document.getElementById('addSavingsAccount').click();
+
+    // Showing deductions or changing state re-binds the deduction fields
+    check(document, '#showDeductions');
+    setValue(document, '#negeri', '12');
+    setValue(document, '.savings-balance-input', '20000');
+
+    assert.deepEqual(errors, []);
+    assert.equal(window.eval('savingsAccounts')['akaun-1'].balance, 20000);
+    window.close();
+});
+
+test('names and selections in other modes are kept once a gold item exists', async () => {
+    const { window, document, errors } = await openPage();
+    document.getElementById('addGoldItem').click();
+    document.getElementById('addInvestmentHolding').click();
+    document.getElementById('addBusinessAdjustment').click();
+    document.getElementById('addFitrahMember').click();
+
+    setValue(document, '.investment-name-input', 'ASB');
+    setValue(document, '.investment-type', document.querySelector('.investment-type option:last-child').value);
+    setValue(document, '.adjustment-label-input', 'Stok rosak');
+    setValue(document, '.fitrah-name-input', 'Aminah');
+    setValue(document, '#profileSelect', '');
+
+    assert.deepEqual(errors, []);
+    assert.equal(window.eval('investmentHoldings')['pelaburan-1'].name, 'ASB');
+    assert.equal(window.eval('businessAdjustments')['pelarasan-1'].label, 'Stok rosak');
+    assert.equal(window.eval('fitrahMembers')['ahli-1'].name, 'Aminah');
+    assert.equal(window.eval('goldItems')['logam-1'].name, 'Emas 1');
+    window.close();
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the gold price providers and the server's /api/gold-price
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    normaliseGoldPrice,
+    ManualGoldPriceProvider,
+    JsonFileGoldPriceProvider,
+    HttpGoldPriceProvider,
+    FallbackGoldPriceProvider
+} = require('../scripts/gold-price.js');
+const { createServer } = require('../server/server.js');
+const MockGateway = require('../scripts/mock-gateway.js');
+const { listen, close, getJson } = require('./helpers/http.js');
+
+const GOLD_PRICE_FILE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'gold-price.json'), 'utf8'));
+
+// A price service that answers with the given status and body
+function createPriceService(statusCode, body) {
+    return http.createServer((req, res) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+}
+
+function startServer(options) {
+    const server = createServer(MockGateway.createMockGateway(), undefined, options);
+    return listen(server).then(url => ({ server, url }));
+}
+
+test('normaliseGoldPrice rejects a missing or non-positive price', () => {
+    assert.throws(() => normaliseGoldPrice({ pricePerGram: 'abc' }), /Harga emas tidak sah/);
+    assert.throws(() => normaliseGoldPrice({ pricePerGram: 0 }), /Harga emas tidak sah/);
+    assert.deepEqual(normaliseGoldPrice({ pricePerGram: '455.5', date: '2025-10-01', source: 'Ujian' }), {
+        pricePerGram: 455.5,
+        date: '2025-10-01',
+        source: 'Ujian'
+    });
+});
+
+test('the manual provider gives the price the user entered', async () => {
+    const price = await new ManualGoldPriceProvider('460', '2025-10-02').getPrice();
+    assert.equal(price.pricePerGram, 460);
+    assert.equal(price.source, 'Harga dimasukkan pengguna');
+});
+
+test('the server serves the gold price file at /api/gold-price', async () => {
+    const { server, url } = await startServer();
+    const price = await new HttpGoldPriceProvider(`${url}/api/gold-price`).getPrice();
+    await close(server);
+
+    assert.equal(price.pricePerGram, GOLD_PRICE_FILE.price_per_gram);
+    assert.equal(price.date, GOLD_PRICE_FILE.date);
+});
+
+test('the server relays a configured gold price service', async () => {
+    const service = createPriceService(200, { price_per_gram: '471.20', date: '2025-10-03', source: 'Perkhidmatan ujian' });
+    const serviceUrl = await listen(service);
+    const { server, url } = await startServer({ goldPriceUrl: serviceUrl });
+
+    const data = await getJson(`${url}/api/gold-price`);
+    await Promise.all([close(server), close(service)]);
+
+    assert.deepEqual(data, { price_per_gram: 471.2, date: '2025-10-03', source: 'Perkhidmatan ujian' });
+});
+
+test('the server answers 502 when the gold price service fails', async () => {
+    const service = createPriceService(500, { error: 'down' });
+    const serviceUrl = await listen(service);
+    const { server, url } = await startServer({ goldPriceUrl: serviceUrl });
+
+    const response = await fetch(`${url}/api/gold-price`);
+    await Promise.all([close(server), close(service)]);
+
+    assert.equal(response.status, 502);
+});
+
+test('the HTTP provider fails with a message when the service is unavailable', async () => {
+    const service = createPriceService(503, {});
+    const serviceUrl = await listen(service);
+
+    await assert.rejects(new HttpGoldPriceProvider(serviceUrl).getPrice(), /Perkhidmatan harga emas tidak tersedia \(503\)/);
+    await close(service);
+});
+
+test('the fallback provider uses the file when the HTTP service fails', async () => {
+    const service = createPriceService(503, {});
+    const serviceUrl = await listen(service);
+    const { server, url } = await startServer();
+
+    const price = await new FallbackGoldPriceProvider([
+        new HttpGoldPriceProvider(serviceUrl),
+        new JsonFileGoldPriceProvider(`${url}/data/gold-price.json`)
+    ]).getPrice();
+    await Promise.all([close(server), close(service)]);
+
+    assert.equal(price.pricePerGram, GOLD_PRICE_FILE.price_per_gram);
+    assert.equal(price.source, GOLD_PRICE_FILE.source);
+});
+
+test('the fallback provider uses the first provider that answers', async () => {
+    const price = await new FallbackGoldPriceProvider([
+        new ManualGoldPriceProvider('480'),
+        new ManualGoldPriceProvider('490')
+    ]).getPrice();
+    assert.equal(price.pricePerGram, 480);
+});
+
+test('the fallback provider fails with the last error when none answers', async () => {
+    await assert.rejects(new FallbackGoldPriceProvider([
+        new ManualGoldPriceProvider(''),
+        new ManualGoldPriceProvider('-1')
+    ]).getPrice(), /Harga emas tidak sah/);
+    await assert.rejects(new FallbackGoldPriceProvider([]).getPrice(), /Tiada sumber harga emas/);
+});
@@ -0,0 +1,49 @@
+/**
+ * HTTP helpers for server tests
+ */
+
+// Start a server on a free port; resolves with its base URL
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+function postJson(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+function postForm(url, fields) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString()
+    });
+}
+
+function getJson(url) {
+    return fetch(url).then(response => response.json());
+}
+
+// A payment request as the page sends it
+function paymentRequest(overrides = {}) {
+    return {
+        amount: '150',
+        reference_id: 'ZAKAT-1',
+        description: 'Pembayaran Zakat Pendapatan',
+        customer: { name: 'Ali bin Abu', ic: '900101145678', phone: '0123456789', email: 'ali@contoh.my' },
+        payment: { method: 'fpx' },
+        redirect: { return_url: 'http://localhost/?payment_status=completed', cancel_url: 'http://localhost/?payment_status=cancelled' },
+        ...overrides
+    };
+}
+
+module.exports = { listen, close, postJson, postForm, getJson, paymentRequest };
@@ -0,0 +1,80 @@
+/**
+ * Open index.html in jsdom for page-level tests
+ * The page's scripts are read from the working tree; nothing else is loaded.
+ * Alerts are collected instead of shown, and confirm always answers yes.
+ * Script errors and console.error output are collected as errors.
+ */
+
+const path = require('path');
+const util = require('util');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost/';
+
+class LocalScriptLoader extends ResourceLoader {
+    fetch(url, options) {
+        const file = url.startsWith(ORIGIN) ? url.slice(ORIGIN.length).split(/[?#]/)[0] : '';
+        if (!file.endsWith('.js')) {
+            return null;
+        }
+        return super.fetch(`file://${path.join(ROOT, file)}`, options);
+    }
+}
+
+/**
+ * Load the page at a path such as 'index.html#k=...' and wait until its
+ * scripts have run and its start-up requests have settled. storage is put in localStorage first; fetch, when given,
+ * answers the page's requests, which otherwise fail as if there were no server.
+ * Resolves with { window, document, alerts, errors }.
+ */
+function openPage(pagePath = 'index.html', { storage = {}, fetch } = {}) {
+    const alerts = [];
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+
+    return JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+        url: `${ORIGIN}${pagePath}`,
+        runScripts: 'dangerously',
+        resources: new LocalScriptLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.TextEncoder = util.TextEncoder;
+            window.TextDecoder = util.TextDecoder;
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+            window.fetch = fetch || (() => Promise.reject(new Error('No server in tests')));
+            Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+                get() { return this.textContent; },
+                set(value) { this.textContent = value; }
+            });
+            window.alert = message => alerts.push(message);
+            window.confirm = () => true;
+            window.prompt = (message, value) => value;
+            window.scrollTo = () => {};
+            window.print = () => {};
+        }
+    }).then(dom => new Promise(resolve => {
+        // Give the page's start-up requests a turn to settle before handing it over
+        dom.window.addEventListener('load', () => setTimeout(() => {
+            resolve({ window: dom.window, document: dom.window.document, alerts, errors });
+        }));
+    }));
+}
+
+// Set a field's value and fire the events a user's typing would
+function setValue(document, selector, value) {
+    const element = document.querySelector(selector);
+    element.value = value;
+    element.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    element.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+}
+
+// Let pending promise callbacks and timers run
+function settle(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { openPage, setValue, settle };
@@ -0,0 +1,24 @@
+/**
+ * Tests for calculating a household in the page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, setValue, settle } = require('./helpers/page.js');
+
+test('a member without income owes no zakat and the household is still calculated', async () => {
+    const page = await openPage();
+    const { document } = page;
+    setValue(document, '#negeri', '12');
+    setValue(document, '#pendapatanBulanan', '5000');
+    document.getElementById('addHouseholdPerson').click();
+    document.getElementById('zakatForm').requestSubmit();
+    await settle();
+
+    assert.deepEqual(page.alerts, []);
+    assert.deepEqual(page.errors, []);
+    assert.equal(document.getElementById('result').style.display, 'block');
+    assert.match(document.getElementById('pendapatanResult').textContent, /Ahli 2[\s\S]*tidak wajib \(tiada pendapatan\)/);
+    assert.match(document.getElementById('zakatResult').textContent, /RM\s+1,500\.00/);
+    page.window.close();
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for the scripted mock payment gateway
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MockGateway = require('../scripts/mock-gateway.js');
+
+function pay(gateway, referenceId) {
+    return gateway.createSession({ amount: '150', reference_id: referenceId })
+        .then(session => gateway.getStatus(session.payment_id));
+}
+
+test('sessions follow the scripted outcomes, then the default', async () => {
+    const gateway = MockGateway.createMockGateway({ outcomes: ['failure', 'pending'], defaultOutcome: 'success' });
+
+    const results = [await pay(gateway, 'A'), await pay(gateway, 'B'), await pay(gateway, 'C')];
+
+    assert.deepEqual(results.map(result => result.status), ['failed', 'pending', 'paid']);
+    assert.deepEqual(results.map(result => Boolean(result.transaction_id)), [false, false, true]);
+    assert.equal(results[2].amount, '150.00');
+    assert.equal(results[2].reference_id, 'C');
+});
+
+test('two gateways created at the same moment hand out different IDs', async () => {
+    const now = () => new Date('2025-10-01T10:00:00.000Z');
+    const first = await pay(MockGateway.createMockGateway({ now }), 'A');
+    const second = await pay(MockGateway.createMockGateway({ now }), 'B');
+
+    assert.notEqual(second.payment_id, first.payment_id);
+    assert.notEqual(second.transaction_id, first.transaction_id);
+    assert.match(first.transaction_id, /^MOCKTX[0-9A-Z]+000001$/);
+});
+
+test('an unknown outcome is refused', () => {
+    assert.throws(() => MockGateway.createMockGateway({ outcomes: ['refund'] }), /Unknown mock gateway outcome: refund/);
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for calculating each holding mode in the page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, setValue, settle } = require('./helpers/page.js');
+
+// Open the page in a mode with Selangor chosen
+async function openMode(mode) {
+    const page = await openPage();
+    page.document.querySelector(`.mode-tab[data-mode="${mode}"]`).click();
+    setValue(page.document, '#negeri', '12');
+    return page;
+}
+
+// Submit a mode's form and return the result text
+async function submit(page, formId) {
+    page.document.getElementById(formId).requestSubmit();
+    await settle();
+    assert.deepEqual(page.alerts, []);
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.document.getElementById('result').style.display, 'block');
+    return page.document.getElementById('zakatResult').textContent;
+}
+
+test('zakat simpanan is calculated from the accounts entered', async () => {
+    const page = await openMode('simpanan');
+    page.document.getElementById('addSavingsAccount').click();
+    setValue(page.document, '.savings-balance-input', '40000');
+
+    assert.match(await submit(page, 'savingsForm'), /RM\s+1,000\.00/);
+    page.window.close();
+});
+
+test('zakat emas is calculated above the state\'s uruf', async () => {
+    const page = await openMode('emas');
+    page.document.getElementById('addGoldItem').click();
+    setValue(page.document, '.holding-weight-input', '1000');
+    setValue(page.document, '#goldItemPrice', '400');
+
+    assert.match(await submit(page, 'goldForm'), /RM\s+1,160\.00/);
+    page.window.close();
+});
+
+test('zakat pelaburan is calculated on the value and dividends', async () => {
+    const page = await openMode('pelaburan');
+    page.document.getElementById('addInvestmentHolding').click();
+    setValue(page.document, '.investment-field[data-field="marketValue"]', '50000');
+    setValue(page.document, '.investment-field[data-field="dividends"]', '2500');
+
+    assert.match(await submit(page, 'investmentForm'), /RM\s+1,312\.50/);
+    page.window.close();
+});
+
+test('zakat perniagaan is calculated on working capital', async () => {
+    const page = await openMode('perniagaan');
+    setValue(page.document, '#businessCash', '60000');
+    setValue(page.document, '#businessPayables', '10000');
+
+    assert.match(await submit(page, 'businessForm'), /RM\s+1,250\.00/);
+    page.window.close();
+});
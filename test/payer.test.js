@@ -0,0 +1,95 @@
+/**
+ * Tests for the payer details checks shared by the page and the server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PayerDetails = require('../scripts/payer.js');
+
+const TODAY = new Date(2025, 5, 15);
+
+const DATE_ERROR = 'Tarikh lahir dalam nombor MyKad tidak sah.';
+const PLACE_ERROR = 'Kod tempat lahir dalam nombor MyKad tidak sah.';
+
+test('a valid MyKad number passes, with or without dashes', () => {
+    assert.equal(PayerDetails.validateMyKad('900101-14-5678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad('900101145678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad(' 900101 14 5678 ', TODAY), null);
+    assert.equal(PayerDetails.formatMyKad('900101145678'), '900101-14-5678');
+});
+
+test('a MyKad number that is empty or not 12 digits is refused', () => {
+    assert.equal(PayerDetails.validateMyKad('', TODAY), 'Sila masukkan nombor MyKad.');
+    assert.match(PayerDetails.validateMyKad('900101-14-567', TODAY), /mesti 12 digit/);
+    assert.match(PayerDetails.validateMyKad('900101-14-567A', TODAY), /mesti 12 digit/);
+});
+
+test('29 February is only a birth date in a leap year', () => {
+    assert.equal(PayerDetails.validateMyKad('000229-14-5678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad('960229-14-5678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad('010229-14-5678', TODAY), DATE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('970229-14-5678', TODAY), DATE_ERROR);
+});
+
+test('a date that does not exist, or is still to come, is refused', () => {
+    assert.equal(PayerDetails.validateMyKad('901301-14-5678', TODAY), DATE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('900431-14-5678', TODAY), DATE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('250616-14-5678', TODAY), DATE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('250615-14-5678', TODAY), null);
+});
+
+test('place-of-birth codes 00, 17 and 69 are not issued', () => {
+    assert.equal(PayerDetails.validateMyKad('900101-00-5678', TODAY), PLACE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('900101-17-5678', TODAY), PLACE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('900101-69-5678', TODAY), PLACE_ERROR);
+    assert.equal(PayerDetails.validateMyKad('900101-01-5678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad('900101-16-5678', TODAY), null);
+    assert.equal(PayerDetails.validateMyKad('900101-68-5678', TODAY), null);
+});
+
+test('a two-digit year later than this year belongs to the 1900s', () => {
+    assert.equal(PayerDetails.getMyKadBirthDate('250101145678', TODAY).getFullYear(), 2025);
+    assert.equal(PayerDetails.getMyKadBirthDate('260101145678', TODAY).getFullYear(), 1926);
+    assert.equal(PayerDetails.getMyKadBirthDate('000101145678', TODAY).getFullYear(), 2000);
+    assert.equal(PayerDetails.getMyKadBirthDate('990101145678', TODAY).getFullYear(), 1999);
+});
+
+test('phone numbers are written as +60, whichever prefix was typed', () => {
+    assert.equal(PayerDetails.normalisePhone('012-345 6789'), '+60123456789');
+    assert.equal(PayerDetails.normalisePhone('60123456789'), '+60123456789');
+    assert.equal(PayerDetails.normalisePhone('+60 12-345 6789'), '+60123456789');
+    assert.equal(PayerDetails.normalisePhone('011-2345 6789'), '+601123456789');
+});
+
+test('mobile and fixed-line numbers are accepted, others are not', () => {
+    assert.equal(PayerDetails.normalisePhone('03-2345 6789'), '+60323456789');
+    assert.equal(PayerDetails.normalisePhone('04-234 5678'), '+6042345678');
+    assert.equal(PayerDetails.normalisePhone('012-345 678'), null);
+    assert.equal(PayerDetails.normalisePhone('02-234 5678'), null);
+    assert.equal(PayerDetails.normalisePhone('123456789'), null);
+    assert.equal(PayerDetails.validatePhone(''), 'Sila masukkan nombor telefon.');
+    assert.match(PayerDetails.validatePhone('12345'), /tidak sah/);
+});
+
+test('validatePayer returns the payer normalised when every field is valid', () => {
+    const { payer, errors } = PayerDetails.validatePayer({
+        name: '  Ali bin Abu ',
+        ic: '900101145678',
+        phone: '012-345 6789',
+        email: ' ali@contoh.my '
+    }, TODAY);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(payer, { name: 'Ali bin Abu', ic: '900101-14-5678', phone: '+60123456789', email: 'ali@contoh.my' });
+});
+
+test('validatePayer returns an error for each field that fails, and no payer', () => {
+    const { payer, errors } = PayerDetails.validatePayer({ name: ' ', ic: '900101-17-5678', phone: '12345', email: 'ali@contoh' }, TODAY);
+
+    assert.equal(payer, null);
+    assert.deepEqual(Object.keys(errors), ['name', 'ic', 'phone', 'email']);
+    assert.equal(errors.ic, PLACE_ERROR);
+    assert.equal(errors.email, 'Alamat emel tidak sah.');
+
+    assert.deepEqual(Object.keys(PayerDetails.validatePayer({}, TODAY).errors), ['name', 'ic', 'phone', 'email']);
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for the Billplz and toyyibPay adapters through the payment server
+ * Each gateway's API is played by a small local stand-in. Billplz callbacks
+ * are signed with x_signature; toyyibPay callbacks are not signed, so the
+ * adapter reads the status back from the (stand-in) toyyibPay API.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createServer } = require('../server/server.js');
+const { createBillplzGateway, createXSignature } = require('../server/gateways/billplz.js');
+const { createToyyibPayGateway } = require('../server/gateways/toyyibpay.js');
+const { listen, close, postJson, postForm, getJson, paymentRequest } = require('./helpers/http.js');
+
+// A stand-in API that records each request and answers with handler(request)
+function createStandIn(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const request = { method: req.method, path: req.url, headers: req.headers, fields: Object.fromEntries(new URLSearchParams(body)) };
+            requests.push(request);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(handler(request)));
+        });
+    });
+    return { server, requests };
+}
+
+test.describe('Billplz', () => {
+    const SIGNATURE_KEY = 'billplz_x_signature_key';
+    let billCount = 0;
+    const billplz = createStandIn(() => {
+        billCount++;
+        return { id: `bill${billCount}`, url: `https://billplz.test/bills/bill${billCount}` };
+    });
+    let app;
+    let appUrl;
+
+    test.before(async () => {
+        const apiUrl = await listen(billplz.server);
+        app = createServer(createBillplzGateway({ apiUrl, apiKey: 'billplz_api_key', collectionId: 'col123', signatureKey: SIGNATURE_KEY }));
+        appUrl = await listen(app);
+    });
+
+    test.after(() => Promise.all([close(app), close(billplz.server)]));
+
+    function createPayment() {
+        return postJson(`${appUrl}/api/payments`, paymentRequest()).then(response => response.json());
+    }
+
+    function sendCallback(fields, key = SIGNATURE_KEY) {
+        const callback = { collection_id: 'col123', paid_at: '2025-10-01 18:00:00 +0800', state: 'paid', ...fields };
+        return postForm(`${appUrl}/api/payments/callback`, { ...callback, x_signature: createXSignature(callback, key) });
+    }
+
+    function getStatus(paymentId) {
+        return getJson(`${appUrl}/api/payments/${paymentId}`);
+    }
+
+    test('creates a bill in sen with the API key', async () => {
+        const payment = await createPayment();
+        assert.equal(payment.payment_id, `bill${billCount}`);
+
+        const request = billplz.requests[billplz.requests.length - 1];
+        assert.equal(request.path, '/v3/bills');
+        assert.equal(request.headers.authorization, `Basic ${Buffer.from('billplz_api_key:').toString('base64')}`);
+        assert.equal(request.fields.amount, '15000');
+        assert.equal(request.fields.collection_id, 'col123');
+        assert.equal(request.fields.mobile, '+60123456789');
+        assert.equal(request.fields.reference_1, 'ZAKAT-1');
+        assert.match(request.fields.callback_url, /\/api\/payments\/callback$/);
+    });
+
+    test('a correctly signed callback marks the payment paid', async () => {
+        const payment = await createPayment();
+        const response = await sendCallback({ id: payment.payment_id, paid: 'true', amount: '15000', paid_amount: '15000' });
+        assert.equal(response.status, 200);
+
+        const status = await getStatus(payment.payment_id);
+        assert.equal(status.status, 'paid');
+        assert.equal(status.amount, '150.00');
+        assert.equal(status.date, '2025-10-01T10:00:00.000Z');
+    });
+
+    test('a callback with a bad x_signature is rejected with 401', async () => {
+        const payment = await createPayment();
+        const response = await sendCallback({ id: payment.payment_id, paid: 'true', amount: '15000', paid_amount: '15000' }, 'wrong_key');
+        assert.equal(response.status, 401);
+        assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+    });
+
+    test('a signed callback for a different amount is rejected with 400', async () => {
+        const payment = await createPayment();
+        const response = await sendCallback({ id: payment.payment_id, paid: 'true', amount: '100', paid_amount: '100' });
+        assert.equal(response.status, 400);
+        assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+    });
+
+    test('a paid bill stays paid after a later unpaid callback', async () => {
+        const payment = await createPayment();
+        await sendCallback({ id: payment.payment_id, paid: 'true', amount: '15000', paid_amount: '15000' });
+        await sendCallback({ id: payment.payment_id, paid: 'false', amount: '15000', paid_amount: '0', state: 'due' });
+        assert.equal((await getStatus(payment.payment_id)).status, 'paid');
+    });
+});
+
+test.describe('toyyibPay', () => {
+    let billCount = 0;
+    // Transactions the stand-in reports for each bill code
+    const transactions = {};
+    const toyyibpay = createStandIn(request => {
+        if (request.path === '/index.php/api/createBill') {
+            billCount++;
+            return [{ BillCode: `tb${billCount}` }];
+        }
+        return transactions[request.fields.billCode] || 'No data found!';
+    });
+    let app;
+    let appUrl;
+
+    test.before(async () => {
+        const apiUrl = await listen(toyyibpay.server);
+        app = createServer(createToyyibPayGateway({ apiUrl, secretKey: 'toyyib_secret', categoryCode: 'cat123' }));
+        appUrl = await listen(app);
+    });
+
+    test.after(() => Promise.all([close(app), close(toyyibpay.server)]));
+
+    function createPayment() {
+        return postJson(`${appUrl}/api/payments`, paymentRequest()).then(response => response.json());
+    }
+
+    function settle(billCode, billpaymentStatus, billpaymentAmount = '150.00') {
+        transactions[billCode] = [{
+            billpaymentStatus,
+            billpaymentAmount,
+            billpaymentInvoiceNo: `TP${billCode}`,
+            billExternalReferenceNo: 'ZAKAT-1',
+            billPaymentDate: '01-10-2025 18:00:00'
+        }];
+    }
+
+    // toyyibPay's callback says what happened, but only the API is believed
+    function sendCallback(billCode, statusId) {
+        return postForm(`${appUrl}/api/payments/callback`, { billcode: billCode, status_id: statusId, order_id: 'ZAKAT-1', refno: `TP${billCode}` });
+    }
+
+    function getStatus(paymentId) {
+        return getJson(`${appUrl}/api/payments/${paymentId}`);
+    }
+
+    test('creates a bill in sen with the secret key', async () => {
+        const payment = await createPayment();
+        assert.equal(payment.payment_id, `tb${billCount}`);
+
+        const request = toyyibpay.requests[toyyibpay.requests.length - 1];
+        assert.equal(request.fields.userSecretKey, 'toyyib_secret');
+        assert.equal(request.fields.categoryCode, 'cat123');
+        assert.equal(request.fields.billAmount, '15000');
+        assert.equal(request.fields.billPaymentChannel, '0');
+        assert.equal(request.fields.billExternalReferenceNo, 'ZAKAT-1');
+    });
+
+    test('a callback confirmed by the API marks the payment paid', async () => {
+        const payment = await createPayment();
+        settle(payment.payment_id, '1');
+        assert.equal((await sendCallback(payment.payment_id, '1')).status, 200);
+
+        const status = await getStatus(payment.payment_id);
+        assert.equal(status.status, 'paid');
+        assert.equal(status.transaction_id, `TP${payment.payment_id}`);
+        assert.equal(status.date, '2025-10-01T10:00:00.000Z');
+    });
+
+    test('a callback claiming payment the API does not confirm leaves it unpaid', async () => {
+        const payment = await createPayment();
+        settle(payment.payment_id, '3');
+        await sendCallback(payment.payment_id, '1');
+        assert.equal((await getStatus(payment.payment_id)).status, 'failed');
+    });
+
+    test('a callback for a bill the API does not know is rejected with 401', async () => {
+        const response = await sendCallback('tb-unknown', '1');
+        assert.equal(response.status, 401);
+    });
+
+    test('a payment confirmed for a different amount is rejected with 400', async () => {
+        const payment = await createPayment();
+        settle(payment.payment_id, '1', '1.50');
+        assert.equal((await sendCallback(payment.payment_id, '1')).status, 400);
+        assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+    });
+
+    test('a paid bill stays paid after a later failed callback', async () => {
+        const payment = await createPayment();
+        settle(payment.payment_id, '1');
+        await sendCallback(payment.payment_id, '1');
+
+        settle(payment.payment_id, '3');
+        await sendCallback(payment.payment_id, '3');
+        assert.equal((await getStatus(payment.payment_id)).status, 'paid');
+    });
+});
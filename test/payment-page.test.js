@@ -0,0 +1,222 @@
+/**
+ * Tests for the payment flow in the page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, settle } = require('./helpers/page.js');
+
+const PENDING_PAYMENT = {
+    idempotency_key: 'pendapatan-2025-abc',
+    reference_id: 'ZAKAT-77',
+    amount: '150.00',
+    payer: { name: 'Ali bin Abu', ic: '900101-14-5678', phone: '+60123456789', email: 'ali@contoh.my' },
+    context: { type: 'pendapatan', description: 'Zakat Pendapatan', referencePrefix: 'ZAKAT-', year: 2025, state: '12', summary: [] },
+    payment_id: 'PAY000009',
+    status: 'pending',
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+};
+
+// A server that reports every payment as paid, noting which were asked about
+function paidServer(requested) {
+    return url => {
+        if (url === '/api/payments') {
+            return Promise.resolve({ ok: true, json: () => Promise.resolve({ success: true, gateway: 'securepay' }) });
+        }
+
+        const paymentId = url.split('/').pop();
+        requested.push(paymentId);
+        return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+                success: true,
+                payment_id: paymentId,
+                status: 'paid',
+                transaction_id: `SPM${paymentId.slice(3)}`,
+                reference_id: 'ZAKAT-77',
+                amount: '150.00',
+                method: 'fpx',
+                date: '2025-10-01T10:00:00.000Z'
+            })
+        });
+    };
+}
+
+function getHistory(window) {
+    return JSON.parse(window.localStorage.getItem('zakatPaymentHistory') || '[]');
+}
+
+// Fill in the payment form for RM 150.00 by FPX and submit it
+async function pay(document) {
+    document.getElementById('paymentAmount').value = '150.00';
+    document.getElementById('fpxPayment').checked = true;
+    document.getElementById('payerName').value = 'Ali bin Abu';
+    document.getElementById('payerIc').value = '900101-14-5678';
+    document.getElementById('payerPhone').value = '012-345 6789';
+    document.getElementById('payerEmail').value = 'ali@contoh.my';
+    document.getElementById('paymentForm').requestSubmit();
+    await settle();
+}
+
+test('the page pays through the server when its payment API answers', async () => {
+    const { window } = await openPage('index.html', { fetch: paidServer([]) });
+    await settle();
+    assert.equal(window.paymentService.isTestMode, false);
+    assert.equal(window.paymentService.serverStatus, 'available');
+    window.close();
+});
+
+test('without a payment server the page says payment is unavailable and records nothing', async () => {
+    const { window, document } = await openPage();
+    await settle();
+    assert.equal(window.paymentService.isTestMode, false);
+    assert.equal(window.paymentService.serverStatus, 'unavailable');
+
+    await pay(document);
+
+    assert.match(document.getElementById('paymentMessage').textContent, /tidak tersedia/);
+    assert.equal(window.localStorage.getItem('zakatPendingPayment'), null);
+    assert.deepEqual(getHistory(window), []);
+    window.close();
+});
+
+test('a payment is refused while the payment server is still being checked', async () => {
+    const { window, document } = await openPage('index.html', { fetch: () => new Promise(() => {}) });
+    assert.equal(window.paymentService.serverStatus, 'checking');
+
+    await pay(document);
+
+    assert.match(document.getElementById('paymentMessage').textContent, /Sedang menyemak pelayan pembayaran/);
+    assert.equal(window.localStorage.getItem('zakatPendingPayment'), null);
+    assert.deepEqual(getHistory(window), []);
+    window.close();
+});
+
+test('test mode is used only when the page asks for it', async () => {
+    const requested = [];
+    const { window } = await openPage('index.html?test_mode=1', { fetch: url => {
+        requested.push(url);
+        return Promise.reject(new Error('No server in tests'));
+    } });
+    await settle();
+
+    assert.equal(window.paymentService.isTestMode, true);
+    assert.equal(window.paymentService.serverStatus, 'available');
+    assert.deepEqual(requested.filter(url => url.startsWith('/api/payments')), []);
+    window.close();
+});
+
+test('returning from the gateway records the payment started here', async () => {
+    const requested = [];
+    const { window } = await openPage('index.html?payment_status=completed&payment_id=PAY000009', {
+        storage: { zakatPendingPayment: PENDING_PAYMENT },
+        fetch: paidServer(requested)
+    });
+    await settle();
+
+    assert.deepEqual(requested, ['PAY000009']);
+    assert.deepEqual(getHistory(window).map(payment => payment.transaction_id), ['SPM000009']);
+    assert.equal(getHistory(window)[0].reference_id, 'ZAKAT-77');
+    assert.equal(window.localStorage.getItem('zakatPendingPayment'), null);
+    assert.equal(window.location.search, '');
+    window.close();
+});
+
+test('a link with another payment\'s ID does not record that payment', async () => {
+    const requested = [];
+    const { window } = await openPage('index.html?payment_status=completed&payment_id=PAY000001', {
+        storage: { zakatPendingPayment: PENDING_PAYMENT },
+        fetch: paidServer(requested)
+    });
+    await settle();
+
+    assert.deepEqual(requested, []);
+    assert.deepEqual(getHistory(window), []);
+    assert.equal(JSON.parse(window.localStorage.getItem('zakatPendingPayment')).payment_id, 'PAY000009');
+    window.close();
+});
+
+test('a link with a payment ID and nothing pending records nothing', async () => {
+    const requested = [];
+    const { window } = await openPage('index.html?billplz%5Bid%5D=abc123', { fetch: paidServer(requested) });
+    await settle();
+
+    assert.deepEqual(requested, []);
+    assert.deepEqual(getHistory(window), []);
+    window.close();
+});
+
+test('a retry after a failed attempt keeps the same payment reference', async () => {
+    const { window, document } = await openPage('index.html?test_mode=1');
+    const paymentService = window.paymentService;
+    paymentService.setPaymentContext({ type: 'pendapatan', referencePrefix: 'ZAKAT-', year: 2025, state: '12', summary: ['Zakat RM 150.00'] });
+
+    const payloads = [];
+    const createSession = paymentService.testGateway.createSession;
+    paymentService.testGateway.createSession = payload => {
+        payloads.push(payload);
+        return payloads.length === 1 ? Promise.reject(new Error('Rangkaian terputus')) : createSession(payload);
+    };
+
+    await pay(document);
+    await pay(document);
+
+    assert.equal(payloads.length, 2);
+    assert.match(payloads[0].reference_id, /^ZAKAT-2025-[0-9A-Z]+$/);
+    assert.equal(payloads[1].reference_id, payloads[0].reference_id);
+    assert.equal(payloads[1].idempotency_key, payloads[0].idempotency_key);
+
+    const testHistory = JSON.parse(window.localStorage.getItem('zakatTestPaymentHistory'));
+    assert.equal(testHistory[0].reference_id, payloads[0].reference_id);
+    window.close();
+});
+
+test('a test-mode payment is tagged and kept out of the history, totals and tax rebate', async () => {
+    const { window, document } = await openPage('index.html?test_mode=1');
+    window.paymentService.setPaymentContext({ type: 'pendapatan', year: 2025, state: '12', summary: ['Zakat RM 150.00'] });
+    await pay(document);
+
+    const testHistory = JSON.parse(window.localStorage.getItem('zakatTestPaymentHistory'));
+    assert.equal(testHistory.length, 1);
+    assert.equal(testHistory[0].test, true);
+    assert.equal(window.paymentService.receiptPayment.test, true);
+    assert.match(document.getElementById('paymentDetails').textContent, /UJIAN/);
+
+    assert.deepEqual(getHistory(window), []);
+    assert.equal(window.getRebateZakat('history', window.getPaymentYear(testHistory[0])), 0);
+    window.renderPaymentHistory();
+    assert.match(document.getElementById('paymentHistoryList').textContent, /Tiada pembayaran direkodkan lagi/);
+    window.close();
+});
+
+test('payments made on two page loads in test mode are both recorded', async () => {
+    const first = await openPage('index.html?test_mode=1');
+    first.window.paymentService.setPaymentContext({ type: 'pendapatan', year: 2025, state: '12', summary: ['Zakat RM 150.00'] });
+    await pay(first.document);
+    const testHistory = JSON.parse(first.window.localStorage.getItem('zakatTestPaymentHistory'));
+    first.window.close();
+
+    const second = await openPage('index.html?test_mode=1', { storage: { zakatTestPaymentHistory: testHistory } });
+    second.window.paymentService.setPaymentContext({ type: 'fitrah', year: 2025, state: '12', summary: ['Fitrah RM 150.00'] });
+    await pay(second.document);
+
+    const transactionIds = JSON.parse(second.window.localStorage.getItem('zakatTestPaymentHistory'))
+        .map(payment => payment.transaction_id);
+    assert.equal(transactionIds.length, 2);
+    assert.notEqual(transactionIds[0], transactionIds[1]);
+    second.window.close();
+});
+
+test('a payment confirmed by the server is recorded without the test tag', async () => {
+    const { window } = await openPage('index.html?payment_status=completed&payment_id=PAY000009', {
+        storage: { zakatPendingPayment: PENDING_PAYMENT },
+        fetch: paidServer([])
+    });
+    await settle();
+
+    assert.equal(getHistory(window).length, 1);
+    assert.equal('test' in getHistory(window)[0], false);
+    assert.equal(window.localStorage.getItem('zakatTestPaymentHistory'), null);
+    window.close();
+});
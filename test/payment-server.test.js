@@ -0,0 +1,125 @@
+/**
+ * Tests for the payment server against the local SecurePay stand-in
+ * Callbacks are signed with the stand-in's checksum token, as SecurePay
+ * signs them; only a verified callback may change a payment's status.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../server/server.js');
+const { createMockServer } = require('../server/mock-securepay.js');
+const { createSecurePayGateway, createCallbackChecksum } = require('../server/gateways/securepay.js');
+const { listen, close, postJson, postForm, getJson, paymentRequest } = require('./helpers/http.js');
+
+const CHECKSUM_TOKEN = 'mock_checksum_token';
+
+let mock;
+let app;
+let appUrl;
+
+test.before(async () => {
+    mock = createMockServer({ checksumToken: CHECKSUM_TOKEN });
+    const mockUrl = await listen(mock);
+    app = createServer(createSecurePayGateway({
+        apiUrl: mockUrl,
+        apiKey: 'sp_test_mock',
+        merchantId: 'M12345678',
+        checksumToken: CHECKSUM_TOKEN
+    }));
+    appUrl = await listen(app);
+});
+
+test.after(() => Promise.all([close(app), close(mock)]));
+
+function createPayment() {
+    return postJson(`${appUrl}/api/payments`, paymentRequest()).then(response => response.json());
+}
+
+function getStatus(paymentId) {
+    return getJson(`${appUrl}/api/payments/${paymentId}`);
+}
+
+// A callback as SecurePay would send it, signed with the given token
+function signedCallback(fields, token = CHECKSUM_TOKEN) {
+    const callback = { reference_id: 'ZAKAT-1', method: 'fpx', transaction_id: 'SPM999', date: '2025-10-01T10:00:00.000Z', ...fields };
+    return { ...callback, checksum: createCallbackChecksum(callback, token) };
+}
+
+function sendCallback(fields) {
+    return postForm(`${appUrl}/api/payments/callback`, fields);
+}
+
+test('the payment API answers so the page can take payments', async () => {
+    const info = await getJson(`${appUrl}/api/payments`);
+    assert.deepEqual(info, { success: true, gateway: 'securepay' });
+});
+
+test('a new payment is pending', async () => {
+    const payment = await createPayment();
+    assert.equal(payment.success, true);
+    assert.match(payment.checkout_url, /\/checkout\/PAY\d+$/);
+    assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+});
+
+test('rejects payer details that fail validation', async () => {
+    const response = await postJson(`${appUrl}/api/payments`, paymentRequest({
+        customer: { name: 'Ali', ic: '901301145678', phone: '0123456789', email: 'ali@contoh.my' }
+    }));
+    assert.equal(response.status, 400);
+});
+
+test('paying at the stand-in checkout sends a signed callback that marks the payment paid', async () => {
+    const payment = await createPayment();
+    const checkout = await fetch(`${payment.checkout_url}/pay`, { method: 'POST', redirect: 'manual' });
+    assert.equal(checkout.status, 303);
+
+    const status = await getStatus(payment.payment_id);
+    assert.equal(status.status, 'paid');
+    assert.equal(status.amount, '150.00');
+    assert.match(status.transaction_id, /^SPM\d+$/);
+});
+
+test('a correctly signed callback marks the payment paid', async () => {
+    const payment = await createPayment();
+    const response = await sendCallback(signedCallback({ payment_id: payment.payment_id, status: 'paid', amount: '150.00' }));
+    assert.equal(response.status, 200);
+
+    const status = await getStatus(payment.payment_id);
+    assert.equal(status.status, 'paid');
+    assert.equal(status.transaction_id, 'SPM999');
+});
+
+test('a callback with a bad checksum is rejected with 401', async () => {
+    const payment = await createPayment();
+    const forged = signedCallback({ payment_id: payment.payment_id, status: 'paid', amount: '150.00' }, 'wrong_token');
+    assert.equal((await sendCallback(forged)).status, 401);
+
+    const tampered = { ...signedCallback({ payment_id: payment.payment_id, status: 'failed', amount: '150.00' }), status: 'paid' };
+    assert.equal((await sendCallback(tampered)).status, 401);
+
+    assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+});
+
+test('a signed callback for a different amount is rejected with 400', async () => {
+    const payment = await createPayment();
+    const response = await sendCallback(signedCallback({ payment_id: payment.payment_id, status: 'paid', amount: '1.50' }));
+    assert.equal(response.status, 400);
+    assert.equal((await getStatus(payment.payment_id)).status, 'pending');
+});
+
+test('a paid payment stays paid after a later failed callback', async () => {
+    const payment = await createPayment();
+    await sendCallback(signedCallback({ payment_id: payment.payment_id, status: 'paid', amount: '150.00' }));
+    const response = await sendCallback(signedCallback({ payment_id: payment.payment_id, status: 'failed', amount: '150.00', transaction_id: '' }));
+    assert.equal(response.status, 200);
+
+    const status = await getStatus(payment.payment_id);
+    assert.equal(status.status, 'paid');
+    assert.equal(status.transaction_id, 'SPM999');
+});
+
+test('a callback for an unknown payment is rejected with 404', async () => {
+    const response = await sendCallback(signedCallback({ payment_id: 'PAY999999', status: 'paid', amount: '150.00' }));
+    assert.equal(response.status, 404);
+    assert.equal((await fetch(`${appUrl}/api/payments/PAY999999`)).status, 404);
+});
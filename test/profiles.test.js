@@ -0,0 +1,63 @@
+/**
+ * Tests for saved profiles and the last session offered on reset
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, setValue, settle } = require('./helpers/page.js');
+
+test('a form snapshot brings back its manual deductions', async () => {
+    const { window, document } = await openPage();
+    const deductionList = document.createElement('div');
+    deductionList.id = 'deductionList';
+    document.getElementById('zakatForm').appendChild(deductionList);
+
+    window.eval('addDeduction()');
+    setValue(document, 'input[name="deduction"]', '1200');
+    const formState = window.eval('getIncomeFormState()');
+
+    deductionList.innerHTML = '';
+    window.eval('applyIncomeFormState')(formState);
+
+    const values = Array.from(document.getElementsByName('deduction')).map(input => input.value);
+    assert.deepEqual(values, ['1200']);
+    window.close();
+});
+
+test('reset offers the form from before the reset, not the one being reset', async () => {
+    const { window, document } = await openPage();
+    const offers = [];
+    window.confirm = message => {
+        offers.push(message);
+        return true;
+    };
+
+    setValue(document, '#negeri', '12');
+    setValue(document, '#pendapatanBulanan', '5000');
+    document.getElementById('zakatForm').requestSubmit();
+    await settle();
+
+    // Nothing has been reset or left yet, so there is nothing to offer
+    document.getElementById('zakatForm').reset();
+    assert.equal(offers.length, 0);
+    assert.equal(document.getElementById('pendapatanBulanan').value, '');
+
+    // The next reset undoes the first
+    document.getElementById('zakatForm').reset();
+    assert.equal(offers.length, 1);
+    assert.equal(document.getElementById('pendapatanBulanan').value, '5000');
+    window.close();
+});
+
+test('leaving the page keeps the form for the reset of the next visit', async () => {
+    const first = await openPage();
+    setValue(first.document, '#pendapatanBulanan', '4200');
+    first.window.dispatchEvent(new first.window.Event('pagehide'));
+    const session = first.window.localStorage.getItem('zakatLastSession');
+    first.window.close();
+
+    const next = await openPage('index.html', { storage: { zakatLastSession: JSON.parse(session) } });
+    next.document.getElementById('zakatForm').reset();
+    assert.equal(next.document.getElementById('pendapatanBulanan').value, '4200');
+    next.window.close();
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the payment receipt: the amount in Malay words, and the receipt
+ * document built in the page, where escapeHtml comes from app.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ZakatReceipt = require('../scripts/receipt.js');
+const { openPage } = require('./helpers/page.js');
+
+const PAYMENT = {
+    transaction_id: 'SPM000009',
+    reference_id: 'ZAKAT-2025-1K3F9QZ',
+    amount: '1250.50',
+    method: 'fpx',
+    status: 'paid',
+    date: '2025-10-01T10:00:00.000Z',
+    payer: { name: 'Ali <b>bin</b> Abu', ic: '900101-14-5678', phone: '+60123456789', email: 'ali@contoh.my' },
+    description: 'Zakat Pendapatan',
+    zakat_year: 2025,
+    authority: 'Lembaga Zakat Selangor',
+    summary: ['Pendapatan & bonus: RM 60,000.00']
+};
+
+test('amounts are written in Malay words, ending in "sahaja"', () => {
+    assert.equal(ZakatReceipt.amountToMalayWords(1250.5), 'Seribu dua ratus lima puluh ringgit dan lima puluh sen sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords('115.00'), 'Seratus lima belas ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords(1011), 'Seribu sebelas ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords(21000), 'Dua puluh satu ribu ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords(1000000), 'Sejuta ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords(2500000), 'Dua juta lima ratus ribu ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords('0.50'), 'Lima puluh sen sahaja');
+});
+
+test('amounts are rounded to the nearest sen before they are written', () => {
+    assert.equal(ZakatReceipt.amountToMalayWords(10.555), 'Sepuluh ringgit dan lima puluh enam sen sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords('19.999'), 'Dua puluh ringgit sahaja');
+    assert.equal(ZakatReceipt.amountToMalayWords(0.01), 'Satu sen sahaja');
+});
+
+test('the receipt shows the payment and escapes what the payer typed', async () => {
+    const { window } = await openPage();
+    const html = window.eval('ZakatReceipt').buildReceiptHtml(PAYMENT, 'FPX Online Banking');
+
+    assert.match(html, /<h1>Resit Pembayaran Zakat<\/h1>/);
+    assert.match(html, /<td>Ali &lt;b&gt;bin&lt;\/b&gt; Abu<\/td>/);
+    assert.match(html, /<td>Lembaga Zakat Selangor<\/td>/);
+    assert.match(html, /<td>SPM000009<\/td>/);
+    assert.match(html, /<td>FPX Online Banking<\/td>/);
+    assert.match(html, /RM 1,250\.50/);
+    assert.match(html, /Seribu dua ratus lima puluh ringgit dan lima puluh sen sahaja/);
+    assert.match(html, /<li>Pendapatan &amp; bonus: RM 60,000\.00<\/li>/);
+    assert.doesNotMatch(html, /UJIAN/);
+    window.close();
+});
+
+test('a test-mode receipt is marked UJIAN, down to its file name', async () => {
+    const { window } = await openPage();
+    const receipt = window.eval('ZakatReceipt');
+    const testPayment = { ...PAYMENT, test: true };
+
+    const html = receipt.buildReceiptHtml(testPayment);
+    assert.match(html, /<title>UJIAN - Resit Zakat/);
+    assert.match(html, /<h1>Resit Pembayaran Zakat \(UJIAN\)<\/h1>/);
+    assert.match(html, /Tiada wang dipindahkan/);
+
+    const downloads = [];
+    window.URL.createObjectURL = () => 'blob:resit';
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function () {
+        downloads.push(this.download);
+    };
+    receipt.downloadReceipt(testPayment);
+    receipt.downloadReceipt(PAYMENT);
+    assert.deepEqual(downloads, ['resit-zakat-UJIAN-ZAKAT-2025-1K3F9QZ.html', 'resit-zakat-ZAKAT-2025-1K3F9QZ.html']);
+    window.close();
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for opening a share link in the page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, setValue, settle } = require('./helpers/page.js');
+
+test('a share link fills the form and shows its result', async () => {
+    const source = await openPage();
+    setValue(source.document, '#negeri', '12');
+    setValue(source.document, '#pendapatanBulanan', '5000');
+    source.document.getElementById('zakatForm').requestSubmit();
+    await settle();
+    const shareUrl = source.window.eval('buildShareUrl()');
+    source.window.close();
+
+    const page = await openPage(shareUrl.slice(shareUrl.indexOf('index.html')));
+    await settle();
+
+    assert.deepEqual(page.alerts, []);
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.document.getElementById('negeri').value, '12');
+    assert.equal(page.document.getElementById('pendapatanBulanan').value, '5000');
+    assert.equal(page.document.getElementById('result').style.display, 'block');
+    assert.match(page.document.getElementById('zakatResult').textContent, /RM\s+1,500\.00/);
+    page.window.close();
+});
+
+test('a broken share link shows a message and leaves the form empty', async () => {
+    const page = await openPage('index.html#v1.bm90LWpzb24');
+    await settle();
+
+    assert.deepEqual(page.alerts, ['Pautan kiraan ini tidak sah atau telah rosak.']);
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.document.getElementById('pendapatanBulanan').value, '');
+    assert.equal(page.document.getElementById('result').style.display, 'none');
+    page.window.close();
+});
+
+test('a hash that is not a share link is left alone', async () => {
+    const page = await openPage('index.html#kalkulator');
+    await settle();
+
+    assert.deepEqual(page.alerts, []);
+    assert.deepEqual(page.errors, []);
+    page.window.close();
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the income tax rebate estimate in TaxEngine
+ * Pins the bracket tax, the individual rebate threshold and the limit on
+ * the zakat rebate.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TaxRules = require('../scripts/tax-rules.js');
+const TaxEngine = require('../scripts/tax-engine.js');
+
+function estimate(input) {
+    return TaxEngine.estimateTax({ year: 2025, deductions: [], zakatPaid: 0, ...input, income: { annual: input.annual } });
+}
+
+test('applies each bracket to its slice of chargeable income', () => {
+    const { brackets } = TaxRules.getTaxRules(2025);
+
+    assert.equal(TaxEngine.calculateBracketTax(0, brackets), 0);
+    assert.equal(TaxEngine.calculateBracketTax(5000, brackets), 0);
+    assert.equal(TaxEngine.calculateBracketTax(35000, brackets), 600);
+    assert.equal(TaxEngine.calculateBracketTax(50000, brackets), 1500);
+    assert.equal(TaxEngine.calculateBracketTax(60000, brackets), 2600);
+    assert.equal(TaxEngine.calculateBracketTax(2100000, brackets), 558400);
+});
+
+test('gives the individual rebate only up to the chargeable income threshold', () => {
+    const atThreshold = estimate({ annual: 44000 });
+    assert.equal(atThreshold.chargeableIncome, 35000);
+    assert.equal(atThreshold.individualRebate, 400);
+    assert.equal(atThreshold.taxPayable, 200);
+
+    const aboveThreshold = estimate({ annual: 44100 });
+    assert.equal(aboveThreshold.chargeableIncome, 35100);
+    assert.equal(aboveThreshold.individualRebate, 0);
+    assert.equal(aboveThreshold.taxPayable, aboveThreshold.taxBeforeRebates);
+
+    // The rebate never exceeds the tax itself
+    const lowIncome = estimate({ annual: 20000 });
+    assert.equal(lowIncome.individualRebate, lowIncome.taxBeforeRebates);
+    assert.equal(lowIncome.taxPayable, 0);
+});
+
+test('limits the zakat rebate to the tax payable', () => {
+    const covered = estimate({ annual: 69000, zakatPaid: 1500 });
+    assert.equal(covered.taxPayable, 2600);
+    assert.equal(covered.zakatRebate, 1500);
+    assert.equal(covered.unusedZakat, 0);
+    assert.equal(covered.netTax, 1100);
+
+    const limited = estimate({ annual: 44000, zakatPaid: 1000 });
+    assert.equal(limited.zakatRebate, 200);
+    assert.equal(limited.unusedZakat, 800);
+    assert.equal(limited.netTax, 0);
+});
+
+test('uses the figures of the year of assessment', () => {
+    const deductions = [{ type: 'anak', category: 'oku', quantity: 1, amount: 6000 }];
+
+    assert.equal(estimate({ year: 2024, annual: 60000, deductions }).taxYear, 2024);
+    assert.equal(estimate({ year: 2024, annual: 60000, deductions }).totalReliefs, 15000);
+    assert.equal(estimate({ year: 2025, annual: 60000, deductions }).totalReliefs, 17000);
+    assert.equal(estimate({ year: 2026, annual: 60000 }).taxYear, 2025);
+    assert.throws(() => estimate({ year: 2023, annual: 60000 }), /Tiada kadar cukai/);
+});
@@ -0,0 +1,378 @@
+/**
+ * Tests for the zakat calculations in ZakatEngine
+ * Pins the baseline figures: each state's nisab, the deduction amounts and
+ * zakat either side of the nisab, then the nisab and haul rules of the other
+ * modes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ZakatEngine = require('../scripts/zakat-engine.js');
+
+// Nisab for 2025 as announced by each state
+const NISAB_2025 = {
+    '1': 33028.75,
+    '2': 32010.16,
+    '3': 29376,
+    '4': 29740,
+    '5': 26844.82,
+    '6': 33028.75,
+    '7': 33028.75,
+    '8': 33028.75,
+    '9': 31000,
+    '10': 29000,
+    '11': 30564.75,
+    '12': 29961,
+    '13': 28840.66,
+    '14': 29740,
+    '15': 29740,
+    '16': 29740
+};
+
+function calculate(input) {
+    return ZakatEngine.calculateZakat({ state: '12', year: 2025, monthlyIncome: 0, ...input });
+}
+
+function deductionAmount(deduction, monthlyIncome = 5000) {
+    return calculate({ monthlyIncome, deductions: [deduction] }).totalDeductions;
+}
+
+test('uses each state\'s nisab', () => {
+    Object.entries(NISAB_2025).forEach(([state, nisab]) => {
+        const result = calculate({ state });
+        assert.equal(result.nisab, nisab, `state ${state}`);
+        assert.equal(result.nisabInfo.basis, 'state');
+    });
+});
+
+test('uses 85g of gold as the nisab when a gold price is given', () => {
+    const result = calculate({ goldPrice: { pricePerGram: 400, date: '2025-10-01', source: 'ujian' } });
+    assert.equal(result.nisab, 34000);
+    assert.equal(result.nisabInfo.basis, 'gold');
+});
+
+test('fails for a year without published figures', () => {
+    assert.throws(() => calculate({ year: 2010 }), /Tiada kadar zakat/);
+});
+
+test('annualises monthly and one-off income', () => {
+    const result = calculate({
+        monthlyIncome: 4000,
+        incomeItems: [
+            { type: 'elaun', amount: 500, frequency: 'monthly' },
+            { type: 'bonus', amount: 6000, frequency: 'one-off' }
+        ]
+    });
+    assert.equal(result.gross, 60000);
+});
+
+test('deducts RM9,000 for the payer (diri)', () => {
+    assert.equal(deductionAmount({ type: 'diri' }), 9000);
+});
+
+test('deducts RM4,000 per wife, up to four (isteri)', () => {
+    assert.equal(deductionAmount({ type: 'isteri', quantity: 2 }), 8000);
+    assert.equal(deductionAmount({ type: 'isteri', quantity: 5 }), 16000);
+});
+
+test('deducts per child by category (anak)', () => {
+    assert.equal(deductionAmount({ type: 'anak', quantity: 3 }), 6000);
+    assert.equal(deductionAmount({ type: 'anak', quantity: 2, category: 'ipt' }), 16000);
+    assert.equal(deductionAmount({ type: 'anak', quantity: 1, category: 'oku' }), 6000);
+});
+
+test('deducts KWSP at 11% of the base salary, or the monthly amount entered', () => {
+    assert.equal(deductionAmount({ type: 'kwsp' }, 5000), 6600);
+    assert.equal(deductionAmount({ type: 'kwsp', base: 'entered', amount: 400 }, 5000), 4800);
+});
+
+test('adds manual deductions as annual amounts', () => {
+    const result = calculate({ monthlyIncome: 5000, manualDeductions: [1200, '', 300] });
+    assert.equal(result.totalDeductions, 1500);
+    assert.deepEqual(result.deductions.map(line => line.key), ['manual-1', 'manual-3']);
+});
+
+test('no zakat is due below the nisab', () => {
+    // RM3,000 a month less the diri deduction leaves RM27,000, under Selangor's RM29,961
+    const result = calculate({ monthlyIncome: 3000, deductions: [{ type: 'diri' }] });
+    assert.equal(result.net, 27000);
+    assert.equal(result.isWajib, false);
+    assert.equal(result.zakat, 0);
+});
+
+test('charges 2.5% of the net income from the nisab upwards', () => {
+    const result = calculate({
+        monthlyIncome: 5000,
+        deductions: [{ type: 'diri' }, { type: 'isteri', quantity: 1 }, { type: 'anak', quantity: 2 }, { type: 'kwsp' }]
+    });
+    assert.equal(result.gross, 60000);
+    assert.equal(result.totalDeductions, 9000 + 4000 + 4000 + 6600);
+    assert.equal(result.net, 36400);
+    assert.equal(result.isWajib, true);
+    assert.equal(result.zakat, 910);
+
+    const atNisab = calculate({ monthlyIncome: 29961 / 12 });
+    assert.equal(atNisab.isWajib, true);
+});
+
+test('a 2024 calculation uses the 2024 figures', () => {
+    const result = calculate({ year: 2024, monthlyIncome: 2200 });
+    assert.equal(result.rules.year, 2024);
+    assert.equal(result.nisab, 26040);
+    assert.equal(result.isWajib, true);
+    assert.equal(calculate({ date: '2024-06-30' }).rules.year, 2024);
+    assert.equal(calculate({ date: '2025-01-01' }).rules.year, 2025);
+});
+
+test('each state applies its own deduction amounts', () => {
+    assert.equal(deductionAmount({ type: 'diri' }), 9000);
+    assert.equal(calculate({ state: '14', monthlyIncome: 5000, deductions: [{ type: 'diri' }] }).totalDeductions, 12000);
+    assert.equal(calculate({ state: '14', monthlyIncome: 5000, deductions: [{ type: 'isteri', quantity: 2 }] }).totalDeductions, 10000);
+    assert.equal(calculate({ state: '2', monthlyIncome: 5000, deductions: [{ type: 'anak', category: 'ipt' }] }).totalDeductions, 5000);
+    assert.equal(calculate({ state: '9', monthlyIncome: 5000, deductions: [{ type: 'anak', category: 'oku' }] }).totalDeductions, 8000);
+});
+
+test('a state\'s yearly cap clamps a deduction and is reported', () => {
+    const kwsp = calculate({ state: '14', monthlyIncome: 5000, deductions: [{ type: 'kwsp' }] }).deductions[0];
+    assert.equal(kwsp.uncapped, 6600);
+    assert.equal(kwsp.cap, 4000);
+    assert.equal(kwsp.capApplied, true);
+    assert.equal(kwsp.amount, 4000);
+
+    const takaful = calculate({ state: '2', monthlyIncome: 5000, deductions: [{ type: 'takaful', amount: 300 }] }).deductions[0];
+    assert.equal(takaful.uncapped, 3600);
+    assert.equal(takaful.amount, 3000);
+
+    // Under the cap, or in a state without one, the full amount is deducted
+    const underCap = calculate({ state: '2', monthlyIncome: 5000, deductions: [{ type: 'tabunghaji', amount: 150 }] }).deductions[0];
+    assert.equal(underCap.capApplied, false);
+    assert.equal(underCap.amount, 1800);
+    assert.equal(calculate({ monthlyIncome: 5000, deductions: [{ type: 'kwsp' }] }).deductions[0].capApplied, false);
+});
+
+test('each state applies its own fitrah rate', () => {
+    const fitrah = (state, grade = 'tempatan') => ZakatEngine.calculateFitrah({
+        state,
+        year: 2025,
+        grade,
+        members: [{ name: 'Ali', category: 'dewasa' }, { name: 'Aminah', category: 'dewasa' }]
+    });
+
+    assert.equal(fitrah('12').zakat, 14);
+    assert.equal(fitrah('8').zakat, 16);
+    assert.equal(fitrah('4', 'premium').ratePerPerson, 22);
+});
+
+function calculateSavings(accounts) {
+    return ZakatEngine.calculateSavingsZakat({ state: '12', year: 2025, accounts });
+}
+
+test('savings held for a full haul pay 2.5% from the nisab upwards', () => {
+    const result = calculateSavings([{ name: 'Tabung Haji', balance: 40000, heldFullHaul: true }]);
+    assert.equal(result.totalZakatable, 40000);
+    assert.equal(result.isWajib, true);
+    assert.equal(result.zakat, 1000);
+
+    assert.equal(calculateSavings([{ balance: 29961, heldFullHaul: true }]).isWajib, true);
+
+    const below = calculateSavings([{ balance: 29960, heldFullHaul: true }]);
+    assert.equal(below.haulMet, true);
+    assert.equal(below.nisabMet, false);
+    assert.equal(below.zakat, 0);
+});
+
+test('savings accounts reach the nisab together', () => {
+    const result = calculateSavings([
+        { name: 'Maybank', balance: 20000, heldFullHaul: true },
+        { name: 'CIMB', balance: 20000, heldFullHaul: true }
+    ]);
+    assert.equal(result.totalZakatable, 40000);
+    assert.equal(result.zakat, 1000);
+});
+
+test('a balance not held for a full haul is not zakatable', () => {
+    const result = calculateSavings([{ balance: 40000, heldFullHaul: false }]);
+    assert.equal(result.accounts[0].zakatableBalance, 0);
+    assert.equal(result.haulMet, false);
+    assert.equal(result.isWajib, false);
+});
+
+test('monthly balances count the lowest balance once twelve months are recorded', () => {
+    const year = [50000, 48000, 45000, 40000, 42000, 44000, 46000, 47000, 49000, 50000, 51000, 52000];
+    const result = calculateSavings([{ monthlyBalances: year }]);
+    assert.equal(result.accounts[0].lowestBalance, 40000);
+    assert.equal(result.zakat, 1000);
+
+    const elevenMonths = calculateSavings([{ monthlyBalances: [...year.slice(0, 11), ''] }]);
+    assert.equal(elevenMonths.accounts[0].monthsRecorded, 11);
+    assert.equal(elevenMonths.haulMet, false);
+    assert.equal(elevenMonths.zakat, 0);
+
+    const overdrawn = calculateSavings([{ monthlyBalances: [...year.slice(0, 11), -500] }]);
+    assert.equal(overdrawn.accounts[0].zakatableBalance, 0);
+});
+
+// Round a ringgit amount to sen
+function toSen(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function calculateGoldSilver(items, state = '12') {
+    return ZakatEngine.calculateGoldSilverZakat({ state, year: 2025, goldPricePerGram: 400, silverPricePerGram: 4, items });
+}
+
+test('worn gold is zakatable only above the state\'s uruf', () => {
+    // 1,000g of 916 gold is 916g pure; Selangor exempts the first 800g worn
+    const result = calculateGoldSilver([{ metal: 'gold', weight: 1000, purity: 916, usage: 'worn' }]);
+    assert.equal(result.uruf, 800);
+    assert.equal(result.gold.worn, 916);
+    assert.equal(result.gold.wornZakatable, 116);
+    assert.equal(toSen(result.zakat), 1160);
+
+    const withinUruf = calculateGoldSilver([{ metal: 'gold', weight: 200, purity: 999, usage: 'worn' }]);
+    assert.equal(withinUruf.isWajib, false);
+    assert.equal(withinUruf.zakat, 0);
+
+    // Kedah's uruf is 170g, so the same jewellery is zakatable there
+    const kedah = calculateGoldSilver([{ metal: 'gold', weight: 200, purity: 999, usage: 'worn' }], '2');
+    assert.equal(toSen(kedah.gold.wornZakatable), 29.8);
+    assert.equal(kedah.isWajib, true);
+});
+
+test('stored gold and silver are zakatable in full once they reach the weight nisab', () => {
+    const stored = calculateGoldSilver([{ metal: 'gold', weight: 100, purity: 999, usage: 'stored' }]);
+    assert.equal(toSen(stored.gold.storedZakatable), 99.9);
+    assert.equal(toSen(stored.zakat), 999);
+
+    // 100g of 750 gold is 75g pure, under the 85g nisab
+    const belowNisab = calculateGoldSilver([{ metal: 'gold', weight: 100, purity: 750, usage: 'stored' }]);
+    assert.equal(belowNisab.gold.storedZakatable, 0);
+    assert.equal(belowNisab.isWajib, false);
+
+    const silver = calculateGoldSilver([{ metal: 'silver', weight: 600, purity: 999 }]);
+    assert.equal(toSen(silver.silver.zakatableWeight), 599.4);
+    assert.equal(toSen(silver.zakat), 59.94);
+
+    const silverBelowNisab = calculateGoldSilver([{ metal: 'silver', weight: 595, purity: 999 }]);
+    assert.equal(silverBelowNisab.silver.zakatableWeight, 0);
+});
+
+function calculateInvestment(holdings, method) {
+    return ZakatEngine.calculateInvestmentZakat({ state: '12', year: 2025, method, holdings });
+}
+
+test('investments held for a full haul pay on their value plus dividends', () => {
+    const result = calculateInvestment([{ name: 'ASB', type: 'asb', marketValue: 50000, dividends: 2500, heldFullHaul: true }]);
+    assert.equal(result.method, 'market');
+    assert.equal(result.totalZakatable, 52500);
+    assert.equal(result.zakat, 1312.5);
+
+    const byUnits = calculateInvestment([{ units: 1000, pricePerUnit: 40, heldFullHaul: true }]);
+    assert.equal(byUnits.holdings[0].value, 40000);
+    assert.equal(byUnits.zakat, 1000);
+});
+
+test('investments short of a haul pay on dividends only, once the portfolio reaches the nisab', () => {
+    const result = calculateInvestment([{ marketValue: 50000, dividends: 2500, heldFullHaul: false }]);
+    assert.equal(result.totalWealth, 52500);
+    assert.equal(result.totalZakatable, 2500);
+    assert.equal(result.zakat, 62.5);
+
+    const belowNisab = calculateInvestment([{ marketValue: 20000, dividends: 1000, heldFullHaul: true }]);
+    assert.equal(belowNisab.isWajib, false);
+    assert.equal(belowNisab.zakat, 0);
+});
+
+test('the dividend method charges dividends only', () => {
+    const result = calculateInvestment([{ marketValue: 50000, dividends: 2500, heldFullHaul: true }], 'dividend');
+    assert.equal(result.totalZakatable, 2500);
+    assert.equal(result.zakat, 62.5);
+});
+
+function calculateBusiness(input) {
+    return ZakatEngine.calculateBusinessZakat({
+        state: '12',
+        year: 2025,
+        assets: { cash: 40000, inventory: 25000, receivables: 10000, other: 0 },
+        liabilities: { payables: 15000, shortTermLoans: 5000, other: 0 },
+        ...input
+    });
+}
+
+test('business zakat is charged on working capital after adjustments', () => {
+    const result = calculateBusiness({ adjustments: [{ label: 'Stok rosak', amount: -5000 }, { label: 'Kosong', amount: 0 }] });
+    assert.equal(result.workingCapital, 55000);
+    assert.equal(result.adjustments.length, 1);
+    assert.equal(result.zakatableAssets, 50000);
+    assert.equal(result.ownership, 'sole');
+    assert.equal(result.zakat, 1250);
+});
+
+test('a partner pays their share of the business zakat', () => {
+    const result = calculateBusiness({ ownership: 'partnership', ownershipPercent: 40 });
+    assert.equal(result.businessZakat, 1375);
+    assert.equal(result.zakat, 550);
+});
+
+test('no business zakat is due below the nisab or with negative working capital', () => {
+    const belowNisab = calculateBusiness({ assets: { cash: 45000 }, liabilities: { payables: 20000 } });
+    assert.equal(belowNisab.zakatableAssets, 25000);
+    assert.equal(belowNisab.isWajib, false);
+    assert.equal(belowNisab.zakat, 0);
+
+    const negative = calculateBusiness({ liabilities: { payables: 90000 } });
+    assert.equal(negative.workingCapital, -15000);
+    assert.equal(negative.zakat, 0);
+});
+
+// A zakat pendapatan result with only regular monthly income
+function annualResult(zakat) {
+    return { zakat, gross: zakat * 40, income: { monthly: zakat * 40 / 12 } };
+}
+
+test('the monthly schedule is due in whole sen and adds up to the zakat', () => {
+    const schedule = ZakatEngine.buildMonthlySchedule(annualResult(1000));
+    const dues = schedule.months.map(entry => entry.due);
+
+    assert.deepEqual(dues.slice(0, 11), new Array(11).fill(83.33));
+    assert.equal(dues[11], 83.37);
+    assert.equal(schedule.totalDue, 1000);
+
+    // Paying what each month shows settles the year exactly
+    const settled = ZakatEngine.reconcileSchedule(schedule, dues);
+    assert.equal(settled.balance, 0);
+    assert.equal(settled.shortfall, 0);
+    assert.equal(settled.overpayment, 0);
+});
+
+test('a one-off income item falls due in the month it is received', () => {
+    const result = { zakat: 1500, gross: 60000, income: { monthly: 4000 } };
+    const schedule = ZakatEngine.buildMonthlySchedule(result, [{ type: 'bonus', amount: 12000, frequency: 'one-off', month: 3 }]);
+
+    assert.equal(schedule.months[0].due, 100);
+    assert.equal(schedule.months[2].due, 400);
+    assert.equal(schedule.months[11].due, 100);
+    assert.equal(schedule.totalDue, 1500);
+});
+
+test('after a mid-year recalculation the paid months show what is still owed', () => {
+    const paidSoFar = [100, 100, 100, 100, 100, 100];
+    const recalculated = ZakatEngine.buildMonthlySchedule(annualResult(1800));
+    const reconciliation = ZakatEngine.reconcileSchedule(recalculated, paidSoFar);
+
+    assert.deepEqual(reconciliation.months.slice(0, 6).map(entry => entry.difference), new Array(6).fill(50));
+    assert.deepEqual(reconciliation.months.slice(6).map(entry => [entry.due, entry.paid]), new Array(6).fill([150, 0]));
+    assert.equal(reconciliation.totalPaid, 600);
+    assert.equal(reconciliation.shortfall, 1200);
+    assert.equal(reconciliation.overpayment, 0);
+});
+
+test('paying more than the schedule shows an overpayment', () => {
+    const schedule = ZakatEngine.buildMonthlySchedule(annualResult(1200));
+    const reconciliation = ZakatEngine.reconcileSchedule(schedule, new Array(12).fill(120));
+
+    assert.equal(reconciliation.months[0].difference, -20);
+    assert.equal(reconciliation.balance, -240);
+    assert.equal(reconciliation.shortfall, 0);
+    assert.equal(reconciliation.overpayment, 240);
+});